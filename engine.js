@@ -0,0 +1,2034 @@
+((root) => {
+  "use strict";
+
+  // Headless rules engine: no DOM, no canvas, no timers.
+  // The browser renderer (game.js) consumes the events produced here; Node can `require()` it directly.
+
+  const PIECE_KIND = /** @type {const} */ ({
+    NORMAL: "normal",
+    ROCKET: "rocket",
+    BOMB: "bomb",
+    CROSS: "cross",
+  });
+
+  // When shapes compete for the same cell, the stronger special wins.
+  const SPECIAL_RANK = {
+    rocket: 1,
+    cross: 2,
+    bomb: 3,
+  };
+
+  const DEFAULTS = {
+    width: 8,
+    height: 8,
+    colors: 6,
+  };
+
+  /**
+   * Level goal. `clear` counts destroyed pieces of one color (specials included), `ice` cracked ice layers,
+   * `unlock` freed locked pieces.
+   * @typedef {{type:"score", target:number}|{type:"clear", color:number, count:number}|{type:"create", kind:"rocket"|"bomb"|"cross", count:number}|{type:"ice", count:number}|{type:"unlock", count:number}} Objective
+   */
+
+  /**
+   * Per-game rules. `moveLimit` = played swaps + detonations allowed (null = unlimited);
+   * `timeLimitMs` = starting clock (null = untimed); `targets` = ascending scores for 1/2/3 stars.
+   * Campaign levels (`id: "level"`) add the level id, objectives (all must be met) and an optional
+   * fixed starting `layout`: one string per row, a digit = color index, "." = random.
+   * `ice` uses the same row format: a digit = ice layers under that cell (1..3), "." = none;
+   * `locked`: "#" = the starting piece there is locked.
+   * `mask` shapes the board: "#" = playable cell, "." = hole (no piece, runs and falls stop there).
+   * `scoring` overrides the default SCORING rules (null = defaults).
+   * The daily challenge (`id: "daily"`) is played by moves and carries its calendar `day` ("YYYY-MM-DD").
+   * @typedef {Object} ModeConfig
+   * @property {"endless"|"moves"|"blitz"|"daily"|"level"} id
+   * @property {number|null} moveLimit
+   * @property {number|null} timeLimitMs
+   * @property {number[]|null} targets
+   * @property {string|null} level
+   * @property {Objective[]|null} objectives
+   * @property {string[]|null} layout
+   * @property {string[]|null} ice
+   * @property {string[]|null} locked
+   * @property {string[]|null} mask
+   * @property {ScoringRules|null} scoring
+   * @property {string|null} day
+   */
+
+  /**
+   * How clears turn into points. Every clear of a move is worth
+   * `(pieces × match/explosion + long runs + created specials) × cascade multiplier`, rounded.
+   * @typedef {Object} ScoringRules
+   * @property {number} match per piece cleared by a match
+   * @property {number} explosion per piece cleared by a special going off (detonation, combo, chain reaction)
+   * @property {number} longRun extra per piece beyond 3 in one run
+   * @property {{rocket:number, bomb:number, cross:number}} created bonus for making a special
+   * @property {number} cascadeStep the multiplier grows by this with each cascade: ×1, ×1.5, ×2, …
+   * @property {number} maxMultiplier
+   */
+
+  /** @type {ScoringRules} */
+  const SCORING = {
+    match: 1,
+    explosion: 2,
+    longRun: 1,
+    created: { rocket: 3, bomb: 5, cross: 4 },
+    cascadeStep: 0.5,
+    maxMultiplier: 4,
+  };
+
+  const NO_LEVEL = { level: null, objectives: null, layout: null, ice: null, locked: null, mask: null, day: null };
+
+  const MAX_ICE = 3;
+
+  /** @type {Record<string, ModeConfig>} */
+  const MODE_PRESETS = {
+    endless: { id: "endless", moveLimit: null, timeLimitMs: null, targets: null, scoring: null, ...NO_LEVEL },
+    moves: { id: "moves", moveLimit: 25, timeLimitMs: null, targets: [150, 220, 290], scoring: null, ...NO_LEVEL },
+    // against the clock, quick chains pay off more
+    blitz: {
+      id: "blitz",
+      moveLimit: null,
+      timeLimitMs: 75000,
+      targets: null,
+      scoring: { ...SCORING, cascadeStep: 1, maxMultiplier: 5 },
+      ...NO_LEVEL,
+    },
+  };
+
+  // Campaign: unused moves turn into points once every objective is met
+  const LEVEL_BONUS = {
+    perMoveLeft: 5,
+  };
+
+  // Blitz clock bonuses, earned per move
+  const TIME_BONUS = {
+    cascadeFrom: 3, // cascades deeper than this earn time...
+    perCascadeMs: 1000, // ...per extra level
+    perSpecialMs: 2000, // every special that goes off (detonated or caught in a clear)
+  };
+
+  // Two specials swapped into each other
+  const COMBO = {
+    megaBombRadius: 4, // bomb + bomb
+    wideCrossHalf: 1, // bomb or cross with a line special: rows/columns on each side of the center
+  };
+
+  // Daily challenge: the date picks one of each, the star targets follow from the pick
+  const DAILY = {
+    sizes: [
+      [7, 7],
+      [8, 8],
+      [9, 8],
+      [8, 9],
+      [9, 9],
+    ],
+    colors: [5, 5, 6], // 4 colors cascade too much for a fair single attempt
+    moves: [20, 25, 30],
+    // `pace` = how much the rules raise the average score
+    rules: {
+      classic: { scoring: null, pace: 1 },
+      blast: { scoring: { ...SCORING, explosion: 3 }, pace: 1.18 },
+      cascade: { scoring: { ...SCORING, cascadeStep: 1, maxMultiplier: 5 }, pace: 1.18 },
+      workshop: { scoring: { ...SCORING, created: { rocket: 6, bomb: 10, cross: 8 } }, pace: 1.1 },
+      longRuns: { scoring: { ...SCORING, longRun: 3 }, pace: 1.05 },
+    },
+    pointsPerMove: { 5: 19, 6: 10 }, // average on an 8×8 board
+    stars: [0.75, 0.95, 1.35], // × the expected score (bot runs: about 3/4, 1/2 and 1/4 of the days)
+  };
+
+  const DAY_PATTERN = /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+
+  const LIMITS = {
+    minSize: 4,
+    maxSize: 12,
+    minColors: 3,
+    maxColors: 6,
+  };
+
+  /**
+   * @typedef {Object} Piece
+   * @property {number} id
+   * @property {number} color 0..state.colors-1
+   * @property {"normal"|"rocket"|"bomb"|"cross"} kind
+   * @property {boolean} [locked] chained in place: can't be swapped, doesn't fall; a match or explosion frees it
+   * @property {"h"|"v"} [dir] rocket only: "h" clears its row, "v" its column (saved rockets without it blast a "+")
+   */
+
+  /** @typedef {(Piece|null)[][]} Board */
+  /** @typedef {{x:number,y:number}} Cell */
+
+  /**
+   * @typedef {Object} GameState
+   * @property {number} width
+   * @property {number} height
+   * @property {number} colors number of active colors
+   * @property {string} seed shareable seed; same seed + same moves = same game
+   * @property {{board:number, refill:number, shuffle:number}} rng PRNG stream states (plain numbers, so the state stays serializable)
+   * @property {Board} board
+   * @property {number} score
+   * @property {number} nextId
+   * @property {ModeConfig} mode
+   * @property {number} moves played moves (successful swaps + detonations)
+   * @property {number|null} timeLeftMs blitz clock (null = untimed); the renderer drains it via tickTime()
+   * @property {number[][]} ice ice layers under each cell (0 = none); a clear on top cracks one layer
+   * @property {boolean[][]} mask playable cells (false = hole in a shaped board; always null on the board)
+   * @property {Tally} tally what the player destroyed/created so far (level objectives)
+   * @property {boolean} stuck nothing left to play and no reshuffle could fix it – the game is over
+   */
+
+  /**
+   * @typedef {Object} Tally
+   * @property {number[]} cleared destroyed pieces per color index
+   * @property {{rocket:number, bomb:number, cross:number}} created specials made from matches
+   * @property {number} ice cracked ice layers
+   * @property {number} unlocked freed locked pieces
+   */
+
+  /**
+   * Events returned by `swap()` / `detonate()`, in the order they should be animated.
+   * Every event that changes the board carries `board` = snapshot of the grid right after it.
+   *
+   * @typedef {{type:"swap", a:Cell, b:Cell, aId:number, bId:number, matched:boolean, board:Board}} SwapEvent
+   * @typedef {{type:"swapBack", a:Cell, b:Cell, aId:number, bId:number, board:Board}} SwapBackEvent
+   * @typedef {{type:"detonate", kind:"rocket"|"bomb"|"cross", origin:Cell, center:Cell, id:number, color:number, dir?:"h"|"v", by?:number}} DetonateEvent by = id of the special whose blast set this one off
+   * @typedef {"plus"|"wideCross"|"megaBomb"} ComboKind
+   * @typedef {{type:"combo", combo:ComboKind, a:Cell, b:Cell, aId:number, bId:number}} ComboEvent piece a merges into b
+   * @typedef {{x:number,y:number,id:number,color:number,kind:string}} ClearedCell
+   * @typedef {{x:number,y:number,left:number}} CrackedIce
+   * @typedef {{type:"clear", cause:"match"|"explosion", cascade:number, multiplier:number, cells:ClearedCell[], unlocked:{x:number,y:number,id:number}[], ice:CrackedIce[], points:number, score:number, board:Board}} ClearEvent
+   * @typedef {{type:"create", pieces:{x:number,y:number,piece:Piece,replacedId:number|null}[], board:Board}} CreateEvent
+   * @typedef {{type:"fall", moves:{id:number,x:number,fromY:number,toY:number}[], spawns:{id:number,x:number,y:number,drop:number}[], board:Board}} FallEvent
+   * @typedef {{type:"shuffle", moves:{id:number,fromX:number,fromY:number,toX:number,toY:number,color:number|null}[], board:Board}} ShuffleEvent
+   * @typedef {{type:"timeBonus", ms:number, timeLeftMs:number}} TimeBonusEvent
+   * @typedef {{type:"levelComplete", movesLeft:number, points:number, score:number}} LevelCompleteEvent
+   * @typedef {SwapEvent|SwapBackEvent|DetonateEvent|ClearEvent|CreateEvent|FallEvent|ShuffleEvent|TimeBonusEvent|LevelCompleteEvent|ComboEvent} GameEvent
+   */
+
+  /**
+   * FNV-1a string hash -> uint32. Turns any seed text into PRNG state.
+   * @param {string} str
+   */
+  function hashSeed(str) {
+    let h = 2166136261 >>> 0;
+    for (let i = 0; i < str.length; i++) {
+      h ^= str.charCodeAt(i);
+      h = Math.imul(h, 16777619);
+    }
+    return h >>> 0;
+  }
+
+  /**
+   * mulberry32 step. Advances `streams[name]` in place and returns a float in [0, 1).
+   * @param {Record<string, number>} streams
+   * @param {string} name
+   */
+  function nextRandom(streams, name) {
+    let t = (streams[name] = (streams[name] + 0x6d2b79f5) >>> 0);
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Standalone seeded generator (e.g. for cosmetic randomness in the renderer).
+   * @param {string} seed
+   * @returns {() => number}
+   */
+  function createRng(seed) {
+    const s = { v: hashSeed(seed) };
+    return () => nextRandom(s, "v");
+  }
+
+  /**
+   * @param {GameState} state
+   * @param {"board"|"refill"|"shuffle"} stream
+   * @param {number} n
+   */
+  function randInt(state, stream, n) {
+    return Math.floor(nextRandom(state.rng, stream) * n);
+  }
+
+  /** Short random seed for a fresh game (the only place that uses Math.random). */
+  function randomSeed() {
+    return Math.floor(Math.random() * 36 ** 6)
+      .toString(36)
+      .padStart(6, "0");
+  }
+
+  /**
+   * Sanitize user/URL provided seed text.
+   * @param {unknown} v
+   * @returns {string|null} null when there is no usable seed
+   */
+  function normalizeSeed(v) {
+    if (typeof v !== "string" && typeof v !== "number") return null;
+    const s = String(v).trim().slice(0, 32);
+    return s.length > 0 ? s : null;
+  }
+
+  /**
+   * Validate a mode config (from presets, saves or recordings).
+   * @param {unknown} m
+   * @returns {ModeConfig|null}
+   */
+  function normalizeMode(m) {
+    if (!m || typeof m !== "object") return null;
+    const d = /** @type {Record<string, any>} */ (m);
+    if (d.id !== "level" && d.id !== "daily" && !Object.prototype.hasOwnProperty.call(MODE_PRESETS, d.id)) {
+      return null;
+    }
+
+    let moveLimit = null;
+    if (d.moveLimit != null) {
+      if (!isIntIn(d.moveLimit, 1, 999)) return null;
+      moveLimit = d.moveLimit;
+    }
+    let timeLimitMs = null;
+    if (d.timeLimitMs != null) {
+      if (!isIntIn(d.timeLimitMs, 10000, 600000)) return null;
+      timeLimitMs = d.timeLimitMs;
+    }
+    let targets = null;
+    if (d.targets != null) {
+      if (!Array.isArray(d.targets) || d.targets.length < 1 || d.targets.length > 3) return null;
+      if (!d.targets.every((t, i) => isIntIn(t, 1, 1e9) && (i === 0 || t > d.targets[i - 1]))) return null;
+      targets = d.targets.slice();
+    }
+    const scoring = d.scoring == null ? null : normalizeScoring(d.scoring);
+    if (d.scoring != null && !scoring) return null;
+    if (d.id === "daily") {
+      if (moveLimit == null || typeof d.day !== "string" || !DAY_PATTERN.test(d.day)) return null;
+      return { id: "daily", moveLimit, timeLimitMs, targets, scoring, ...NO_LEVEL, day: d.day };
+    }
+    if (d.id !== "level") return { id: d.id, moveLimit, timeLimitMs, targets, scoring, ...NO_LEVEL };
+
+    // Levels always end: by moves, and by meeting every objective.
+    if (moveLimit == null || typeof d.level !== "string" || !/^[\w-]{1,24}$/.test(d.level)) return null;
+    if (!Array.isArray(d.objectives) || d.objectives.length < 1 || d.objectives.length > 4) return null;
+    const objectives = d.objectives.map(normalizeObjective);
+    if (objectives.includes(null)) return null;
+    const layout = d.layout == null ? null : normalizeRows(d.layout, /^[0-9.]+$/);
+    if (d.layout != null && !layout) return null;
+    const ice = d.ice == null ? null : normalizeRows(d.ice, /^[0-3.]+$/);
+    if (d.ice != null && !ice) return null;
+    const locked = d.locked == null ? null : normalizeRows(d.locked, /^[#.]+$/);
+    if (d.locked != null && !locked) return null;
+    const mask = d.mask == null ? null : normalizeRows(d.mask, /^[#.]+$/);
+    if (d.mask != null && !mask) return null;
+    return {
+      id: "level",
+      moveLimit,
+      timeLimitMs,
+      targets,
+      scoring,
+      level: d.level,
+      objectives: /** @type {Objective[]} */ (objectives),
+      layout,
+      ice,
+      locked,
+      mask,
+      day: null,
+    };
+  }
+
+  /**
+   * Scoring overrides: any rule left out keeps its SCORING default.
+   * @param {unknown} r
+   * @returns {ScoringRules|null}
+   */
+  function normalizeScoring(r) {
+    if (!r || typeof r !== "object") return null;
+    const d = /** @type {Record<string, any>} */ (r);
+    /**
+     * @param {any} v
+     * @param {number} max
+     * @param {number} fallback used when the rule is left out
+     */
+    const num = (v, max, fallback) => (v == null ? fallback : Number.isFinite(v) && v >= 0 && v <= max ? v : NaN);
+    const created = d.created == null ? {} : d.created;
+    if (typeof created !== "object") return null;
+    const rules = {
+      match: num(d.match, 100, SCORING.match),
+      explosion: num(d.explosion, 100, SCORING.explosion),
+      longRun: num(d.longRun, 100, SCORING.longRun),
+      created: {
+        rocket: num(created.rocket, 1000, SCORING.created.rocket),
+        bomb: num(created.bomb, 1000, SCORING.created.bomb),
+        cross: num(created.cross, 1000, SCORING.created.cross),
+      },
+      cascadeStep: num(d.cascadeStep, 10, SCORING.cascadeStep),
+      maxMultiplier: num(d.maxMultiplier, 100, SCORING.maxMultiplier),
+    };
+    const values = [rules.match, rules.explosion, rules.longRun, rules.cascadeStep, rules.maxMultiplier];
+    if ([...values, ...Object.values(rules.created)].some(Number.isNaN)) return null;
+    if (rules.maxMultiplier < 1) return null;
+    return rules;
+  }
+
+  /**
+   * Per-cell grid written as equally long strings (one per row).
+   * @param {unknown} rows
+   * @param {RegExp} allowed
+   * @returns {string[]|null}
+   */
+  function normalizeRows(rows, allowed) {
+    if (!Array.isArray(rows) || !isIntIn(rows.length, LIMITS.minSize, LIMITS.maxSize)) return null;
+    const w = rows[0]?.length;
+    if (!isIntIn(w, LIMITS.minSize, LIMITS.maxSize)) return null;
+    if (!rows.every((row) => typeof row === "string" && row.length === w && allowed.test(row))) return null;
+    return rows.slice();
+  }
+
+  /**
+   * @param {unknown} o
+   * @returns {Objective|null}
+   */
+  function normalizeObjective(o) {
+    if (!o || typeof o !== "object") return null;
+    const d = /** @type {Record<string, any>} */ (o);
+    if (d.type === "score" && isIntIn(d.target, 1, 1e9)) return { type: "score", target: d.target };
+    if (d.type === "clear" && isIntIn(d.color, 0, LIMITS.maxColors - 1) && isIntIn(d.count, 1, 9999)) {
+      return { type: "clear", color: d.color, count: d.count };
+    }
+    const special = d.kind === PIECE_KIND.ROCKET || d.kind === PIECE_KIND.BOMB || d.kind === PIECE_KIND.CROSS;
+    if (d.type === "create" && special && isIntIn(d.count, 1, 99)) {
+      return { type: "create", kind: d.kind, count: d.count };
+    }
+    if (d.type === "ice" && isIntIn(d.count, 1, 9999)) return { type: "ice", count: d.count };
+    if (d.type === "unlock" && isIntIn(d.count, 1, 9999)) return { type: "unlock", count: d.count };
+    return null;
+  }
+
+  /**
+   * @param {ModeConfig} mode
+   * @returns {ModeConfig}
+   */
+  function cloneMode(mode) {
+    return {
+      ...mode,
+      targets: mode.targets && mode.targets.slice(),
+      scoring: mode.scoring && { ...mode.scoring, created: { ...mode.scoring.created } },
+      objectives: mode.objectives && mode.objectives.map((o) => ({ ...o })),
+      layout: mode.layout && mode.layout.slice(),
+      ice: mode.ice && mode.ice.slice(),
+      locked: mode.locked && mode.locked.slice(),
+      mask: mode.mask && mode.mask.slice(),
+    };
+  }
+
+  /**
+   * @typedef {Object} DailyChallenge
+   * @property {string} day "YYYY-MM-DD"
+   * @property {string} seed
+   * @property {string} rules key into DAILY.rules
+   * @property {number} width
+   * @property {number} height
+   * @property {number} colors
+   * @property {ModeConfig} mode
+   */
+
+  /**
+   * The challenge of one calendar day. Board, rules and targets all come from the date alone,
+   * so everyone playing that day gets the same game – no server needed.
+   * @param {string} day "YYYY-MM-DD"
+   * @returns {DailyChallenge|null}
+   */
+  function dailyChallenge(day) {
+    if (typeof day !== "string" || !DAY_PATTERN.test(day)) return null;
+    const rng = createRng(`daily:${day}`);
+    const pick = (list) => list[Math.floor(rng() * list.length)];
+    const [width, height] = pick(DAILY.sizes);
+    const colors = pick(DAILY.colors);
+    const moveLimit = pick(DAILY.moves);
+    const rules = pick(Object.keys(DAILY.rules));
+    const { scoring, pace } = DAILY.rules[rules];
+    const area = (width * height) / (DEFAULTS.width * DEFAULTS.height);
+    const expected = DAILY.pointsPerMove[colors] * area ** 0.75 * pace * moveLimit;
+    const targets = DAILY.stars.map((f) => Math.round((expected * f) / 5) * 5);
+    const mode = normalizeMode({ id: "daily", day, moveLimit, targets, scoring });
+    return mode && { day, seed: `daily-${day}`, rules, width, height, colors, mode };
+  }
+
+  /**
+   * @typedef {Object} Level
+   * @property {string} id
+   * @property {string} name
+   * @property {number} width
+   * @property {number} height
+   * @property {number} colors
+   * @property {ModeConfig} mode
+   */
+
+  /**
+   * Validate one campaign level as written in levels.json:
+   * `{id, name, width, height, colors, moves, stars:[1★,2★,3★], objectives, layout?, ice?, locked?, mask?}`.
+   * An `ice` / `unlock` objective without `count` means "all of them". Holes in the `mask` can't hold
+   * fixed pieces, ice or locks.
+   * @param {unknown} data
+   * @returns {Level|null}
+   */
+  function normalizeLevel(data) {
+    if (!data || typeof data !== "object") return null;
+    const d = /** @type {Record<string, any>} */ (data);
+    if (!isIntIn(d.width, LIMITS.minSize, LIMITS.maxSize) || !isIntIn(d.height, LIMITS.minSize, LIMITS.maxSize)) {
+      return null;
+    }
+    if (!isIntIn(d.colors, LIMITS.minColors, LIMITS.maxColors)) return null;
+    const iceRows = d.ice == null ? null : normalizeRows(d.ice, /^[0-3.]+$/);
+    const iceTotal = iceRows ? iceLayers(iceRows).flat().reduce((a, b) => a + b, 0) : 0;
+    const lockRows = d.locked == null ? null : normalizeRows(d.locked, /^[#.]+$/);
+    const lockTotal = lockRows ? lockRows.join("").split("#").length - 1 : 0;
+    /** @type {Record<string, number>} */
+    const totals = { ice: iceTotal, unlock: lockTotal };
+    const objectives = Array.isArray(d.objectives)
+      ? d.objectives.map((o) => (o && o.type in totals && o.count == null ? { ...o, count: totals[o.type] } : o))
+      : d.objectives;
+    const mode = normalizeMode({
+      id: "level",
+      level: typeof d.id === "number" ? String(d.id) : d.id,
+      moveLimit: d.moves,
+      targets: d.stars ?? null,
+      objectives,
+      scoring: d.scoring ?? null,
+      layout: d.layout ?? null,
+      ice: d.ice ?? null,
+      locked: d.locked ?? null,
+      mask: d.mask ?? null,
+    });
+    if (!mode || !mode.objectives) return null;
+    for (const rows of [mode.ice, mode.locked, mode.mask]) {
+      if (rows && (rows.length !== d.height || rows[0].length !== d.width)) return null;
+    }
+    if (mode.objectives.some((o) => (o.type === "ice" || o.type === "unlock") && o.count > totals[o.type])) return null;
+    if (mode.objectives.some((o) => o.type === "clear" && o.color >= d.colors)) return null;
+
+    if (mode.layout) {
+      if (mode.layout.length !== d.height || mode.layout[0].length !== d.width) return null;
+      const fixed = layoutColors(mode.layout);
+      if (fixed.some((row) => row.some((c) => c != null && c >= d.colors))) return null;
+      // The fixed part must not already contain a match.
+      for (let y = 0; y < d.height; y++) {
+        for (let x = 0; x < d.width; x++) {
+          const c = fixed[y][x];
+          if (c == null) continue;
+          if (x >= 2 && fixed[y][x - 1] === c && fixed[y][x - 2] === c) return null;
+          if (y >= 2 && fixed[y - 1][x] === c && fixed[y - 2][x] === c) return null;
+        }
+      }
+    }
+
+    if (mode.mask) {
+      // A shape still needs room to play.
+      if (mode.mask.join("").split("#").length - 1 < LIMITS.minSize * LIMITS.minSize) return null;
+      for (let y = 0; y < d.height; y++) {
+        for (let x = 0; x < d.width; x++) {
+          if (mode.mask[y][x] === "#") continue;
+          if (mode.layout && mode.layout[y][x] !== ".") return null;
+          if (mode.ice && mode.ice[y][x] !== "." && mode.ice[y][x] !== "0") return null;
+          if (mode.locked && mode.locked[y][x] === "#") return null;
+        }
+      }
+    }
+
+    const name = typeof d.name === "string" && d.name.trim() ? d.name.trim().slice(0, 40) : `Level ${mode.level}`;
+    return { id: /** @type {string} */ (mode.level), name, width: d.width, height: d.height, colors: d.colors, mode };
+  }
+
+  /**
+   * @param {string[]} layout
+   * @returns {(number|null)[][]} color per cell, null = random
+   */
+  function layoutColors(layout) {
+    return layout.map((row) => Array.from(row, (ch) => (ch === "." ? null : Number(ch))));
+  }
+
+  /**
+   * @param {string[]} rows
+   * @returns {number[][]} ice layers per cell
+   */
+  function iceLayers(rows) {
+    return rows.map((row) => Array.from(row, (ch) => (ch === "." ? 0 : Number(ch))));
+  }
+
+  /**
+   * Starting ice for a new game (all zero unless the level defines a fitting grid).
+   * @param {GameState} state
+   * @returns {number[][]}
+   */
+  function makeIce(state) {
+    const rows = state.mode.ice;
+    if (rows && rows.length === state.height && rows[0].length === state.width) return iceLayers(rows);
+    return emptyIce(state.width, state.height);
+  }
+
+  /**
+   * Playable cells of a board (all of them unless the level defines a fitting shape).
+   * @param {ModeConfig} mode
+   * @param {number} width
+   * @param {number} height
+   * @returns {boolean[][]}
+   */
+  function makeMask(mode, width, height) {
+    const rows = mode.mask;
+    const fits = rows && rows.length === height && rows[0].length === width;
+    return Array.from({ length: height }, (_, y) =>
+      Array.from({ length: width }, (_, x) => !fits || rows[y][x] === "#")
+    );
+  }
+
+  function emptyIce(width, height) {
+    return Array.from({ length: height }, () => Array.from({ length: width }, () => 0));
+  }
+
+  /**
+   * @param {GameState} state
+   * @returns {number|null} null = unlimited
+   */
+  function movesLeft(state) {
+    return state.mode.moveLimit == null ? null : Math.max(0, state.mode.moveLimit - state.moves);
+  }
+
+  /** @param {GameState} state */
+  function isGameOver(state) {
+    return movesLeft(state) === 0 || state.timeLeftMs === 0 || isLevelComplete(state) || state.stuck;
+  }
+
+  /**
+   * Progress towards each level objective ([] outside the campaign).
+   * @param {GameState} state
+   * @returns {{objective:Objective, current:number, target:number, done:boolean}[]}
+   */
+  function objectiveStatus(state) {
+    if (!state.mode.objectives) return [];
+    return state.mode.objectives.map((o) => {
+      let current = 0;
+      let target = 0;
+      if (o.type === "score") {
+        current = state.score;
+        target = o.target;
+      } else if (o.type === "clear") {
+        current = state.tally.cleared[o.color] ?? 0;
+        target = o.count;
+      } else if (o.type === "ice") {
+        current = state.tally.ice;
+        target = o.count;
+      } else if (o.type === "unlock") {
+        current = state.tally.unlocked;
+        target = o.count;
+      } else {
+        current = state.tally.created[o.kind];
+        target = o.count;
+      }
+      return { objective: o, current: Math.min(current, target), target, done: current >= target };
+    });
+  }
+
+  /** @param {GameState} state */
+  function isLevelComplete(state) {
+    const status = objectiveStatus(state);
+    return status.length > 0 && status.every((s) => s.done);
+  }
+
+  /**
+   * Once the last objective is met, the unused moves are paid out as points (ends the level).
+   * @param {GameState} state
+   * @returns {GameEvent[]}
+   */
+  function awardLevelBonus(state) {
+    if (!isLevelComplete(state)) return [];
+    const left = movesLeft(state) ?? 0;
+    const points = left * LEVEL_BONUS.perMoveLeft;
+    state.score += points;
+    return [{ type: "levelComplete", movesLeft: left, points, score: state.score }];
+  }
+
+  /**
+   * Advance the blitz clock. No-op for untimed games.
+   * @param {GameState} state
+   * @param {number} ms
+   */
+  function tickTime(state, ms) {
+    if (state.timeLeftMs == null || !(ms > 0)) return;
+    state.timeLeftMs = Math.max(0, state.timeLeftMs - ms);
+  }
+
+  /**
+   * Bonus time a move earned: deep cascades + every special that went off.
+   * @param {GameEvent[]} events
+   */
+  function timeBonusMs(events) {
+    let cascade = 0;
+    let specials = 0;
+    for (const ev of events) {
+      if (ev.type !== "clear") continue;
+      cascade = Math.max(cascade, ev.cascade);
+      specials += ev.cells.filter(isSpecial).length;
+    }
+    return (
+      Math.max(0, cascade - TIME_BONUS.cascadeFrom + 1) * TIME_BONUS.perCascadeMs + specials * TIME_BONUS.perSpecialMs
+    );
+  }
+
+  /**
+   * Credit the blitz clock for a finished move.
+   * @param {GameState} state
+   * @param {GameEvent[]} events
+   * @returns {GameEvent[]}
+   */
+  function awardTimeBonus(state, events) {
+    if (state.timeLeftMs == null) return [];
+    const ms = timeBonusMs(events);
+    if (ms <= 0) return [];
+    state.timeLeftMs += ms;
+    return [{ type: "timeBonus", ms, timeLeftMs: state.timeLeftMs }];
+  }
+
+  /**
+   * Stars earned so far (0..3) – one per reached target score.
+   * @param {GameState} state
+   */
+  function starsFor(state) {
+    if (state.mode.objectives) {
+      // A finished level is worth at least one star.
+      if (!isLevelComplete(state)) return 0;
+      return Math.max(1, (state.mode.targets ?? []).filter((t) => state.score >= t).length);
+    }
+    if (!state.mode.targets) return 0;
+    return state.mode.targets.filter((t) => state.score >= t).length;
+  }
+
+  function cellKey(x, y) {
+    return `${x},${y}`;
+  }
+
+  /** @param {string} k */
+  function parseKey(k) {
+    const [xs, ys] = k.split(",");
+    return { x: Number(xs), y: Number(ys) };
+  }
+
+  function manhattan(a, b) {
+    return Math.abs(a.x - b.x) + Math.abs(a.y - b.y);
+  }
+
+  /** @param {Board} board */
+  function cloneBoard(board) {
+    return board.map((row) => row.slice());
+  }
+
+  /**
+   * Sizes / color counts outside LIMITS fall back to DEFAULTS.
+   * @param {Partial<{width:number,height:number,colors:number,seed:string,mode:ModeConfig}>} [opts]
+   * @returns {GameState}
+   */
+  function createGame(opts = {}) {
+    const seed = normalizeSeed(opts.seed) ?? randomSeed();
+    const size = (v, fallback) => (isIntIn(v, LIMITS.minSize, LIMITS.maxSize) ? v : fallback);
+    /** @type {GameState} */
+    const state = {
+      width: size(opts.width, DEFAULTS.width),
+      height: size(opts.height, DEFAULTS.height),
+      colors: isIntIn(opts.colors, LIMITS.minColors, LIMITS.maxColors) ? opts.colors : DEFAULTS.colors,
+      seed,
+      rng: {
+        board: hashSeed(`${seed}:board`),
+        refill: hashSeed(`${seed}:refill`),
+        shuffle: hashSeed(`${seed}:shuffle`),
+      },
+      board: [],
+      score: 0,
+      nextId: 1,
+      mode: normalizeMode(opts.mode) ?? MODE_PRESETS.endless,
+      moves: 0,
+      timeLeftMs: null,
+      ice: [],
+      mask: [],
+      tally: emptyTally(0),
+      stuck: false,
+    };
+    state.ice = makeIce(state);
+    state.mask = makeMask(state.mode, state.width, state.height);
+    state.tally = emptyTally(state.colors);
+    state.timeLeftMs = state.mode.timeLimitMs;
+    state.board = makeBoard(state);
+    applyLocks(state);
+    ensurePlayable(state);
+    return state;
+  }
+
+  /**
+   * @param {number} colors
+   * @returns {Tally}
+   */
+  function emptyTally(colors) {
+    return {
+      cleared: Array.from({ length: colors }, () => 0),
+      created: { rocket: 0, bomb: 0, cross: 0 },
+      ice: 0,
+      unlocked: 0,
+    };
+  }
+
+  /**
+   * @param {GameState} state
+   * @returns {Piece}
+   */
+  function makePiece(state, color, kind = PIECE_KIND.NORMAL) {
+    return { id: state.nextId++, color, kind };
+  }
+
+  /**
+   * @param {GameState} state
+   * @returns {Board}
+   */
+  function makeBoard(state) {
+    const layout = state.mode.layout;
+    // A layout that doesn't fit this board is ignored.
+    const fixed =
+      layout && layout.length === state.height && layout[0].length === state.width ? layoutColors(layout) : null;
+    /** @type {Board} */
+    const b = [];
+    for (let y = 0; y < state.height; y++) {
+      const row = [];
+      for (let x = 0; x < state.width; x++) {
+        if (!state.mask[y][x]) {
+          row.push(null);
+          continue;
+        }
+        const given = fixed ? fixed[y][x] : null;
+        if (given != null && given < state.colors) {
+          row.push(makePiece(state, given, PIECE_KIND.NORMAL));
+          continue;
+        }
+
+        const forbid = new Set();
+        // Avoid creating immediate 3-in-a-row at init time
+        if (x >= 2) {
+          const p1 = row[x - 1];
+          const p2 = row[x - 2];
+          if (p1 && p2 && p1.color === p2.color) forbid.add(p1.color);
+        }
+        if (y >= 2) {
+          const p1 = b[y - 1]?.[x];
+          const p2 = b[y - 2]?.[x];
+          if (p1 && p2 && p1.color === p2.color) forbid.add(p1.color);
+        }
+        if (fixed) {
+          // Fixed cells to the right / below are already decided too.
+          const at = (cx, cy) => {
+            if (cy > y || (cy === y && cx >= x)) return fixed[cy]?.[cx];
+            return (cy === y ? row[cx] : b[cy]?.[cx])?.color;
+          };
+          for (const [dx, dy] of [
+            [1, 0],
+            [0, 1],
+          ]) {
+            const n1 = at(x + dx, y + dy);
+            if (n1 != null && n1 === at(x + 2 * dx, y + 2 * dy)) forbid.add(n1);
+            if (n1 != null && n1 === at(x - dx, y - dy)) forbid.add(n1);
+          }
+        }
+
+        let color = randInt(state, "board", state.colors);
+        if (forbid.size > 0) {
+          let tries = 0;
+          while (forbid.has(color) && tries < 12) {
+            color = randInt(state, "board", state.colors);
+            tries++;
+          }
+          if (forbid.has(color)) {
+            // deterministic fallback
+            for (let c = 0; c < state.colors; c++) {
+              if (!forbid.has(c)) {
+                color = c;
+                break;
+              }
+            }
+          }
+        }
+
+        row.push(makePiece(state, color, PIECE_KIND.NORMAL));
+      }
+      b.push(row);
+    }
+    return b;
+  }
+
+  /**
+   * Lock the starting pieces marked "#" in the level's `locked` grid (if it fits the board).
+   * @param {GameState} state
+   */
+  function applyLocks(state) {
+    const rows = state.mode.locked;
+    if (!rows || rows.length !== state.height || rows[0].length !== state.width) return;
+    for (let y = 0; y < state.height; y++) {
+      for (let x = 0; x < state.width; x++) {
+        const p = state.board[y][x];
+        if (p && rows[y][x] === "#") state.board[y][x] = { ...p, locked: true };
+      }
+    }
+  }
+
+  /** @param {Piece|null|undefined} p */
+  function isLocked(p) {
+    return !!p && p.locked === true;
+  }
+
+  /** @param {GameState} state */
+  function isInBounds(state, x, y) {
+    return x >= 0 && y >= 0 && x < state.width && y < state.height;
+  }
+
+  /**
+   * In bounds and not a hole of a shaped board.
+   * @param {GameState} state
+   */
+  function isCell(state, x, y) {
+    return isInBounds(state, x, y) && state.mask[y][x];
+  }
+
+  /** @param {{kind:string}|null|undefined} p */
+  function isSpecial(p) {
+    return !!p && (p.kind === PIECE_KIND.ROCKET || p.kind === PIECE_KIND.BOMB || p.kind === PIECE_KIND.CROSS);
+  }
+
+  /**
+   * @param {GameState} state
+   * @param {Cell} a
+   * @param {Cell} b
+   */
+  function swapCells(state, a, b) {
+    const tmp = state.board[a.y][a.x];
+    state.board[a.y][a.x] = state.board[b.y][b.x];
+    state.board[b.y][b.x] = tmp;
+  }
+
+  /**
+   * Runs of 3+ same-colored pieces. Holes hold no piece, so they break a run like the board edge does.
+   * @typedef {{cells:Cell[], color:number, dir:"h"|"v"}} MatchSegment
+   * @param {GameState} state
+   * @returns {MatchSegment[]}
+   */
+  function findMatchSegments(state) {
+    const { board, width, height } = state;
+    /** @type {MatchSegment[]} */
+    const segments = [];
+
+    // Horizontal
+    for (let y = 0; y < height; y++) {
+      /** @type {number|null} */
+      let runColor = null;
+      let runStart = 0;
+      for (let x = 0; x <= width; x++) {
+        const p = x < width ? board[y][x] : null;
+        const c = p ? p.color : null;
+        if (c !== runColor) {
+          if (runColor != null) {
+            const len = x - runStart;
+            if (len >= 3) {
+              /** @type {Cell[]} */
+              const cells = [];
+              for (let xx = runStart; xx < x; xx++) cells.push({ x: xx, y });
+              segments.push({ cells, color: runColor, dir: "h" });
+            }
+          }
+          runColor = c;
+          runStart = x;
+        }
+      }
+    }
+
+    // Vertical
+    for (let x = 0; x < width; x++) {
+      /** @type {number|null} */
+      let runColor = null;
+      let runStart = 0;
+      for (let y = 0; y <= height; y++) {
+        const p = y < height ? board[y][x] : null;
+        const c = p ? p.color : null;
+        if (c !== runColor) {
+          if (runColor != null) {
+            const len = y - runStart;
+            if (len >= 3) {
+              /** @type {Cell[]} */
+              const cells = [];
+              for (let yy = runStart; yy < y; yy++) cells.push({ x, y: yy });
+              segments.push({ cells, color: runColor, dir: "v" });
+            }
+          }
+          runColor = c;
+          runStart = y;
+        }
+      }
+    }
+
+    return segments;
+  }
+
+  /**
+   * Merge runs that share a cell into one shape: a lone run stays alone, crossing runs form an L, T or +.
+   * @param {MatchSegment[]} segments
+   * @returns {MatchSegment[][]}
+   */
+  function groupShapes(segments) {
+    /** @type {MatchSegment[][]} */
+    let shapes = [];
+    /** @type {Map<string, MatchSegment[]>} */
+    const shapeAt = new Map();
+    for (const seg of segments) {
+      const touching = new Set();
+      for (const c of seg.cells) {
+        const shape = shapeAt.get(cellKey(c.x, c.y));
+        if (shape) touching.add(shape);
+      }
+      const merged = [...Array.from(touching).flat(), seg];
+      shapes = shapes.filter((shape) => !touching.has(shape));
+      shapes.push(merged);
+      for (const part of merged) {
+        for (const c of part.cells) shapeAt.set(cellKey(c.x, c.y), merged);
+      }
+    }
+    return shapes;
+  }
+
+  /** @typedef {{x:number,y:number,kind:"rocket"|"bomb"|"cross",color:number,dir?:"h"|"v"}} SpecialCreation */
+
+  /**
+   * Decide which specials the matched shapes create: a 5+ run makes a bomb, crossing runs (L/T) a cross,
+   * a run of 4 a rocket that fires along the run (a row of 4 makes a row rocket).
+   * @param {GameState} state
+   * @param {MatchSegment[]} segments
+   * @param {Cell[]|null} preferredSwapCells
+   * @returns {Map<string, SpecialCreation>}
+   */
+  function computeSpecialCreations(state, segments, preferredSwapCells) {
+    const { board } = state;
+    /** @type {Map<string, SpecialCreation>} */
+    const out = new Map();
+
+    const prefer = preferredSwapCells ? [preferredSwapCells[1], preferredSwapCells[0]] : [];
+    /** @param {Cell} c */
+    const isNormalAt = (c) => board[c.y]?.[c.x]?.kind === PIECE_KIND.NORMAL;
+
+    for (const shape of groupShapes(segments)) {
+      const longest = shape.reduce((a, seg) => (seg.cells.length > a.cells.length ? seg : a));
+      const len = longest.cells.length;
+      const crossing = shape.length > 1;
+      if (len < 4 && !crossing) continue;
+
+      /** @type {"rocket"|"bomb"|"cross"} */
+      let kind = PIECE_KIND.ROCKET;
+      if (len >= 5) kind = PIECE_KIND.BOMB;
+      else if (crossing) kind = PIECE_KIND.CROSS;
+
+      /** @type {Set<string>} */
+      const seen = new Set();
+      /** @type {Set<string>} */
+      const corners = new Set();
+      for (const seg of shape) {
+        for (const c of seg.cells) {
+          const k = cellKey(c.x, c.y);
+          if (seen.has(k)) corners.add(k);
+          seen.add(k);
+        }
+      }
+      /** @param {Cell|undefined} pc */
+      const inShape = (pc) => !!pc && seen.has(cellKey(pc.x, pc.y));
+
+      /** @type {Cell|null} */
+      let target = null;
+
+      // Prefer swapped cell(s) if they are inside the shape (and ideally not already a special)
+      for (const pc of prefer) {
+        if (inShape(pc) && isNormalAt(pc)) {
+          target = pc;
+          break;
+        }
+      }
+      if (!target) target = prefer.find(inShape) ?? null;
+
+      // A cross sits where the runs meet
+      if (!target && crossing) {
+        const meets = Array.from(corners, parseKey);
+        target = meets.find(isNormalAt) ?? meets[0];
+      }
+
+      // Otherwise pick a normal piece near the middle
+      if (!target) {
+        const mid = Math.floor(len / 2);
+        target = longest.cells[mid] ?? longest.cells[0];
+        for (let i = 0; i < len; i++) {
+          const c = longest.cells[(mid + i) % len];
+          if (isNormalAt(c)) {
+            target = c;
+            break;
+          }
+        }
+      }
+
+      const k = cellKey(target.x, target.y);
+      const existing = out.get(k);
+      if (!existing || SPECIAL_RANK[kind] > SPECIAL_RANK[existing.kind]) {
+        /** @type {SpecialCreation} */
+        const cr = { x: target.x, y: target.y, kind, color: longest.color };
+        if (kind === PIECE_KIND.ROCKET) cr.dir = longest.dir;
+        out.set(k, cr);
+      }
+    }
+
+    return out;
+  }
+
+  /** @param {Cell} center */
+  function rocketArea(center) {
+    const out = [];
+    out.push({ x: center.x, y: center.y });
+    out.push({ x: center.x + 1, y: center.y });
+    out.push({ x: center.x - 1, y: center.y });
+    out.push({ x: center.x, y: center.y + 1 });
+    out.push({ x: center.x, y: center.y - 1 });
+    return out;
+  }
+
+  /**
+   * Whole row ("h") or column ("v") through `center`.
+   * @param {GameState} state
+   * @param {Cell} center
+   * @param {"h"|"v"} dir
+   */
+  function lineArea(state, center, dir) {
+    const out = [];
+    if (dir === "h") for (let x = 0; x < state.width; x++) out.push({ x, y: center.y });
+    else for (let y = 0; y < state.height; y++) out.push({ x: center.x, y });
+    return out;
+  }
+
+  /**
+   * Whole row and column through `center`.
+   * @param {GameState} state
+   * @param {Cell} center
+   */
+  function crossArea(state, center) {
+    const out = [];
+    for (let x = 0; x < state.width; x++) out.push({ x, y: center.y });
+    for (let y = 0; y < state.height; y++) if (y !== center.y) out.push({ x: center.x, y });
+    return out;
+  }
+
+  /**
+   * Cells a special of `kind` clears when it goes off at `center`.
+   * @param {GameState} state
+   * @param {"rocket"|"bomb"|"cross"} kind
+   * @param {Cell} center
+   * @param {"h"|"v"} [dir] line of a rocket
+   */
+  function specialArea(state, kind, center, dir) {
+    if (kind === PIECE_KIND.ROCKET) return dir ? lineArea(state, center, dir) : rocketArea(center);
+    if (kind === PIECE_KIND.CROSS) return crossArea(state, center);
+    return bombArea(center);
+  }
+
+  /**
+   * @param {Cell} center
+   * @param {number} [r] radius
+   */
+  function bombArea(center, r = 2) {
+    const out = [];
+    for (let dy = -r; dy <= r; dy++) {
+      for (let dx = -r; dx <= r; dx++) {
+        if (dx * dx + dy * dy <= r * r) out.push({ x: center.x + dx, y: center.y + dy });
+      }
+    }
+    return out;
+  }
+
+  /**
+   * What two swapped specials turn into: two rockets = a plus over the whole row and column,
+   * two bombs = a huge blast, anything else = a 3-wide cross.
+   * @param {string} k1
+   * @param {string} k2
+   * @returns {ComboKind}
+   */
+  function comboKind(k1, k2) {
+    if (k1 === PIECE_KIND.BOMB && k2 === PIECE_KIND.BOMB) return "megaBomb";
+    if (k1 === PIECE_KIND.ROCKET && k2 === PIECE_KIND.ROCKET) return "plus";
+    return "wideCross";
+  }
+
+  /**
+   * @param {GameState} state
+   * @param {ComboKind} combo
+   * @param {Cell} center
+   */
+  function comboArea(state, combo, center) {
+    if (combo === "plus") return crossArea(state, center);
+    if (combo === "megaBomb") return bombArea(center, COMBO.megaBombRadius);
+    const out = [];
+    for (let d = -COMBO.wideCrossHalf; d <= COMBO.wideCrossHalf; d++) {
+      out.push(...crossArea(state, { x: center.x + d, y: center.y + d }));
+    }
+    return out;
+  }
+
+  /**
+   * Chain-reaction: if a special piece is cleared, it also explodes.
+   * Locked specials are only freed by the clear, so they don't go off.
+   * @param {GameState} state
+   * @param {Set<string>} clearKeys grows by the blasts
+   * @param {Set<string>} protectedKeys
+   * @param {Set<string>} [fired] specials that already went off (the ones that started an explosion move)
+   * @param {number|null} [by] id of the special that blasted the initial `clearKeys`
+   * @returns {DetonateEvent[]} one per special set off, in chain order
+   */
+  function expandWithSpecialExplosions(state, clearKeys, protectedKeys, fired = new Set(), by = null) {
+    /** @type {Map<string, number>} blasted cell -> id of the special that blasted it */
+    const blastedBy = new Map();
+    /** @type {DetonateEvent[]} */
+    const events = [];
+    // a Set iterates over keys added during the loop as well, so chained blasts are visited too
+    for (const k of clearKeys) {
+      if (protectedKeys.has(k) || fired.has(k)) continue;
+      const { x, y } = parseKey(k);
+      if (!isCell(state, x, y)) continue;
+      const p = state.board[y]?.[x];
+      if (!isSpecial(p) || isLocked(p)) continue;
+      fired.add(k);
+
+      /** @type {DetonateEvent} */
+      const ev = {
+        type: "detonate",
+        kind: /** @type {"rocket"|"bomb"|"cross"} */ (p.kind),
+        origin: { x, y },
+        center: { x, y },
+        id: p.id,
+        color: p.color,
+      };
+      if (p.dir) ev.dir = p.dir;
+      const source = blastedBy.get(k) ?? by;
+      if (source != null) ev.by = source;
+      events.push(ev);
+
+      for (const c of specialArea(state, p.kind, { x, y }, p.dir)) {
+        if (!isCell(state, c.x, c.y)) continue;
+        const kk = cellKey(c.x, c.y);
+        if (protectedKeys.has(kk) || clearKeys.has(kk)) continue;
+        clearKeys.add(kk);
+        blastedBy.set(kk, p.id);
+      }
+    }
+    return events;
+  }
+
+  /**
+   * Score multiplier of the n-th cascade of a move (explosions that start a move count as the first).
+   * @param {GameState} state
+   * @param {number} cascade
+   */
+  function cascadeMultiplier(state, cascade) {
+    const rules = state.mode.scoring ?? SCORING;
+    return Math.min(rules.maxMultiplier, 1 + Math.max(0, cascade - 1) * rules.cascadeStep);
+  }
+
+  /**
+   * Remove the pieces at `cells` and score them (see ScoringRules). Locked pieces are only freed.
+   * @param {GameState} state
+   * @param {Cell[]} cells
+   * @param {"match"|"explosion"} cause
+   * @param {number} cascade
+   * @param {Set<string>|null} [matched] cells of a match clear that were part of a run; the rest were blasted
+   * @param {number} [bonus] long runs + created specials, multiplied along with the pieces
+   * @returns {ClearEvent|null} null when nothing was destroyed or freed
+   */
+  function clearCells(state, cells, cause, cascade, matched = null, bonus = 0) {
+    /** @type {Set<string>} */
+    const uniq = new Set();
+    /** @type {ClearedCell[]} */
+    const cleared = [];
+    /** @type {ClearEvent["unlocked"]} */
+    const unlocked = [];
+    for (const c of cells) {
+      if (!isCell(state, c.x, c.y)) continue;
+      const k = cellKey(c.x, c.y);
+      if (uniq.has(k)) continue;
+      uniq.add(k);
+      const p = state.board[c.y][c.x];
+      if (!p) continue;
+      if (isLocked(p)) unlocked.push({ x: c.x, y: c.y, id: p.id });
+      else cleared.push({ x: c.x, y: c.y, id: p.id, color: p.color, kind: p.kind });
+    }
+    if (cleared.length === 0 && unlocked.length === 0) return null;
+
+    for (const u of unlocked) {
+      const p = /** @type {Piece} */ (state.board[u.y][u.x]);
+      state.board[u.y][u.x] = { id: p.id, color: p.color, kind: p.kind };
+      state.tally.unlocked++;
+    }
+    for (const c of cleared) {
+      state.board[c.y][c.x] = null;
+      state.tally.cleared[c.color] = (state.tally.cleared[c.color] ?? 0) + 1;
+    }
+    const rules = state.mode.scoring ?? SCORING;
+    const byMatch = cause === "match" ? cleared.filter((c) => !matched || matched.has(cellKey(c.x, c.y))).length : 0;
+    const base = byMatch * rules.match + (cleared.length - byMatch) * rules.explosion + bonus;
+    const multiplier = cascadeMultiplier(state, cascade);
+    const points = Math.round(base * multiplier);
+    state.score += points;
+
+    return {
+      type: "clear",
+      cause,
+      cascade,
+      multiplier,
+      cells: cleared,
+      unlocked,
+      ice: crackIce(state, [...cleared, ...unlocked]),
+      points,
+      score: state.score,
+      board: cloneBoard(state.board),
+    };
+  }
+
+  /**
+   * Crack one ice layer under each cell (cells without ice are skipped).
+   * @param {GameState} state
+   * @param {Cell[]} cells
+   * @returns {CrackedIce[]}
+   */
+  function crackIce(state, cells) {
+    /** @type {CrackedIce[]} */
+    const cracked = [];
+    for (const c of cells) {
+      const layers = state.ice[c.y]?.[c.x] ?? 0;
+      if (layers <= 0) continue;
+      state.ice[c.y][c.x] = layers - 1;
+      state.tally.ice++;
+      cracked.push({ x: c.x, y: c.y, left: layers - 1 });
+    }
+    return cracked;
+  }
+
+  /**
+   * Drop pieces down into empty cells and spawn random new pieces from above.
+   * Locked pieces stay put; the others fall past them into the free cells below.
+   * Holes split a column into separate shafts: nothing falls through a hole, each shaft refills from its own top.
+   * @param {GameState} state
+   * @returns {FallEvent}
+   */
+  function collapseAndFill(state) {
+    const { width, height } = state;
+    /** @type {Board} */
+    const next = Array.from({ length: height }, () => Array.from({ length: width }, () => null));
+    /** @type {FallEvent["moves"]} */
+    const moves = [];
+    /** @type {FallEvent["spawns"]} */
+    const spawns = [];
+
+    for (let x = 0; x < width; x++) {
+      let y = height - 1;
+      while (y >= 0) {
+        if (!state.mask[y][x]) {
+          y--;
+          continue;
+        }
+        // free cells of this shaft, bottom-up
+        const slots = [];
+        for (; y >= 0 && state.mask[y][x]; y--) {
+          const p = state.board[y][x];
+          if (isLocked(p)) next[y][x] = p;
+          else slots.push(y);
+        }
+
+        let write = 0;
+        for (const sy of slots) {
+          const p = state.board[sy][x];
+          if (!p) continue;
+          const toY = slots[write++];
+          next[toY][x] = p;
+          if (toY !== sy) moves.push({ id: p.id, x, fromY: sy, toY });
+        }
+
+        const nNew = slots.length - write;
+        for (let i = write; i < slots.length; i++) {
+          // Seeded random new piece (allow cascades)
+          const pNew = makePiece(state, randInt(state, "refill", state.colors), PIECE_KIND.NORMAL);
+          next[slots[i]][x] = pNew;
+          spawns.push({ id: pNew.id, x, y: slots[i], drop: nNew });
+        }
+      }
+    }
+
+    state.board = next;
+    return { type: "fall", moves, spawns, board: cloneBoard(next) };
+  }
+
+  /**
+   * Resolve all matches on the board (cascades) and create specials for 4/5+.
+   * @param {GameState} state
+   * @param {Cell[]|null} preferredSwapCells
+   * @returns {GameEvent[]}
+   */
+  function resolveMatches(state, preferredSwapCells = null) {
+    /** @type {GameEvent[]} */
+    const events = [];
+    let cascade = 0;
+
+    while (true) {
+      const segments = findMatchSegments(state);
+      if (segments.length === 0) break;
+
+      cascade++;
+      const creations = computeSpecialCreations(state, segments, preferredSwapCells);
+      const protectedKeys = new Set(creations.keys());
+
+      /** @type {Set<string>} */
+      const clearKeys = new Set();
+      for (const seg of segments) {
+        for (const c of seg.cells) {
+          const k = cellKey(c.x, c.y);
+          if (!protectedKeys.has(k)) clearKeys.add(k);
+        }
+      }
+
+      const matched = new Set(clearKeys);
+      const chained = expandWithSpecialExplosions(state, clearKeys, protectedKeys);
+
+      const rules = state.mode.scoring ?? SCORING;
+      let bonus = 0;
+      for (const seg of segments) bonus += Math.max(0, seg.cells.length - 3) * rules.longRun;
+      for (const cr of creations.values()) bonus += rules.created[cr.kind];
+
+      const clear = clearCells(state, Array.from(clearKeys, parseKey), "match", cascade, matched, bonus);
+      if (!clear) break;
+      // The cell that turns into a special was matched too – its ice cracks as well.
+      clear.ice.push(...crackIce(state, Array.from(creations.values())));
+      events.push(...chained, clear);
+
+      if (creations.size > 0) {
+        /** @type {CreateEvent["pieces"]} */
+        const pieces = [];
+        for (const cr of creations.values()) {
+          if (!isInBounds(state, cr.x, cr.y)) continue;
+          const prev = state.board[cr.y][cr.x];
+          // A locked piece that turns into the special is freed by it.
+          if (isLocked(prev)) state.tally.unlocked++;
+          const np = makePiece(state, cr.color, cr.kind);
+          if (cr.dir) np.dir = cr.dir;
+          state.board[cr.y][cr.x] = np;
+          state.tally.created[cr.kind]++;
+          pieces.push({ x: cr.x, y: cr.y, piece: np, replacedId: prev ? prev.id : null });
+        }
+        events.push({ type: "create", pieces, board: cloneBoard(state.board) });
+      }
+
+      events.push(collapseAndFill(state));
+
+      preferredSwapCells = null; // only prefer on the first resolve pass
+    }
+
+    return events;
+  }
+
+  /**
+   * Length of the same-color run through (x, y) along one axis.
+   * @param {GameState} state
+   * @param {number} x
+   * @param {number} y
+   * @param {number} dx
+   * @param {number} dy
+   */
+  function runLengthAt(state, x, y, dx, dy) {
+    const p = state.board[y]?.[x];
+    if (!p) return 0;
+    let len = 1;
+    for (let i = 1; isInBounds(state, x + dx * i, y + dy * i); i++) {
+      const q = state.board[y + dy * i][x + dx * i];
+      if (!q || q.color !== p.color) break;
+      len++;
+    }
+    for (let i = 1; isInBounds(state, x - dx * i, y - dy * i); i++) {
+      const q = state.board[y - dy * i][x - dx * i];
+      if (!q || q.color !== p.color) break;
+      len++;
+    }
+    return len;
+  }
+
+  /**
+   * @typedef {{a:Cell, b:Cell, size:number, combo?:ComboKind}} ValidMove
+   *   size = longest run the swap creates; combo = two specials that go off together (size 0)
+   * @param {GameState} state
+   * @returns {ValidMove[]}
+   */
+  function findValidMoves(state) {
+    /** @type {ValidMove[]} */
+    const out = [];
+    for (let y = 0; y < state.height; y++) {
+      for (let x = 0; x < state.width; x++) {
+        for (const [dx, dy] of [
+          [1, 0],
+          [0, 1],
+        ]) {
+          const a = { x, y };
+          const b = { x: x + dx, y: y + dy };
+          if (!isInBounds(state, b.x, b.y)) continue;
+          if (!state.board[a.y][a.x] || !state.board[b.y][b.x]) continue;
+          const pa = state.board[a.y][a.x];
+          const pb = state.board[b.y][b.x];
+          if (isLocked(pa) || isLocked(pb)) continue;
+          if (isSpecial(pa) && isSpecial(pb)) {
+            out.push({ a, b, size: 0, combo: comboKind(pa.kind, pb.kind) });
+            continue;
+          }
+
+          swapCells(state, a, b);
+          const size = Math.max(
+            runLengthAt(state, a.x, a.y, 1, 0),
+            runLengthAt(state, a.x, a.y, 0, 1),
+            runLengthAt(state, b.x, b.y, 1, 0),
+            runLengthAt(state, b.x, b.y, 0, 1)
+          );
+          swapCells(state, a, b);
+
+          if (size >= 3) out.push({ a, b, size });
+        }
+      }
+    }
+    return out;
+  }
+
+  /**
+   * Pick the swap to suggest: a special combo first, then bomb beats cross beats rocket, which beats a plain
+   * match; ties go to the bigger clear. Uses the same findMatchSegments/computeSpecialCreations as a real move.
+   * @param {GameState} state
+   * @returns {ValidMove|null}
+   */
+  function suggestMove(state) {
+    /** @type {ValidMove|null} */
+    let best = null;
+    let bestRank = -1;
+    for (const mv of findValidMoves(state)) {
+      if (mv.combo) {
+        const rank = 10000 + ["plus", "wideCross", "megaBomb"].indexOf(mv.combo);
+        if (rank > bestRank) {
+          best = mv;
+          bestRank = rank;
+        }
+        continue;
+      }
+      swapCells(state, mv.a, mv.b);
+      const segments = findMatchSegments(state);
+      const creations = computeSpecialCreations(state, segments, [mv.a, mv.b]);
+      swapCells(state, mv.a, mv.b);
+
+      let special = 0;
+      for (const cr of creations.values()) special = Math.max(special, SPECIAL_RANK[cr.kind]);
+      const cleared = new Set(segments.flatMap((seg) => seg.cells.map((c) => cellKey(c.x, c.y)))).size;
+      const rank = special * 1000 + cleared;
+      if (rank > bestRank) {
+        best = mv;
+        bestRank = rank;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * A swap that matches, or an unlocked special to set off.
+   * @param {GameState} state
+   */
+  function hasValidMove(state) {
+    if (state.board.some((row) => row.some((p) => isSpecial(p) && !isLocked(p)))) return true;
+    return findValidMoves(state).length > 0;
+  }
+
+  /**
+   * Rearrange the normal pieces (specials and locked pieces stay where they are) until the board has no match
+   * and at least one valid move. Falls back to recoloring pieces if shuffling alone can't do it.
+   * @param {GameState} state
+   * @returns {ShuffleEvent|null} null if the board can't be made playable (e.g. almost every piece is locked)
+   */
+  function reshuffle(state) {
+    /** @type {Cell[]} */
+    const slots = [];
+    /** @type {{piece:Piece, from:Cell}[]} */
+    const pool = [];
+    for (let y = 0; y < state.height; y++) {
+      for (let x = 0; x < state.width; x++) {
+        const p = state.board[y][x];
+        if (!p || isSpecial(p) || isLocked(p)) continue;
+        slots.push({ x, y });
+        pool.push({ piece: p, from: { x, y } });
+      }
+    }
+
+    const original = cloneBoard(state.board);
+    const maxAttempts = 400;
+    for (let attempt = 0; attempt < maxAttempts; attempt++) {
+      const order = pool.slice();
+      for (let i = order.length - 1; i > 0; i--) {
+        const j = randInt(state, "shuffle", i + 1);
+        [order[i], order[j]] = [order[j], order[i]];
+      }
+      // Second half of the attempts also repaints colors (keeps ids, so pieces still fly to place).
+      const recolor = attempt >= maxAttempts / 2;
+
+      state.board = cloneBoard(original);
+      for (let i = 0; i < slots.length; i++) {
+        const s = slots[i];
+        const p = order[i].piece;
+        state.board[s.y][s.x] = recolor ? { ...p, color: randInt(state, "shuffle", state.colors) } : p;
+      }
+
+      if (findMatchSegments(state).length > 0 || !hasValidMove(state)) continue;
+
+      /** @type {ShuffleEvent["moves"]} */
+      const moves = [];
+      for (let i = 0; i < slots.length; i++) {
+        const { piece, from } = order[i];
+        const to = slots[i];
+        const now = state.board[to.y][to.x];
+        moves.push({
+          id: piece.id,
+          fromX: from.x,
+          fromY: from.y,
+          toX: to.x,
+          toY: to.y,
+          color: now && now.color !== piece.color ? now.color : null,
+        });
+      }
+      return { type: "shuffle", moves, board: cloneBoard(state.board) };
+    }
+
+    state.board = original;
+    return null;
+  }
+
+  /**
+   * Reshuffle if the player has no valid move left; when even that fails the game is over (`stuck`).
+   * @param {GameState} state
+   * @returns {GameEvent[]}
+   */
+  function ensurePlayable(state) {
+    if (hasValidMove(state)) return [];
+    const ev = reshuffle(state);
+    state.stuck = !ev;
+    return ev ? [ev] : [];
+  }
+
+  /**
+   * Plain JSON-safe copy of the state (for localStorage etc.).
+   * @param {GameState} state
+   */
+  function serializeGame(state) {
+    return {
+      width: state.width,
+      height: state.height,
+      colors: state.colors,
+      seed: state.seed,
+      rng: { ...state.rng },
+      score: state.score,
+      nextId: state.nextId,
+      mode: cloneMode(state.mode),
+      moves: state.moves,
+      timeLeftMs: state.timeLeftMs,
+      ice: state.ice.map((row) => row.slice()),
+      tally: { ...state.tally, cleared: state.tally.cleared.slice(), created: { ...state.tally.created } },
+      board: state.board.map((row) => row.map((p) => (p ? { ...p } : null))),
+    };
+  }
+
+  /** @param {unknown} v */
+  function isIntIn(v, min, max) {
+    return Number.isInteger(v) && /** @type {number} */ (v) >= min && /** @type {number} */ (v) <= max;
+  }
+
+  /**
+   * Rebuild a state from `serializeGame()` output. Anything that doesn't validate yields null;
+   * missing non-essential fields (rng, nextId) are recovered.
+   * @param {unknown} data
+   * @returns {GameState|null}
+   */
+  function restoreGame(data) {
+    if (!data || typeof data !== "object") return null;
+    const d = /** @type {Record<string, any>} */ (data);
+
+    if (!isIntIn(d.width, LIMITS.minSize, LIMITS.maxSize)) return null;
+    if (!isIntIn(d.height, LIMITS.minSize, LIMITS.maxSize)) return null;
+    if (!isIntIn(d.colors, LIMITS.minColors, LIMITS.maxColors)) return null;
+    const seed = normalizeSeed(d.seed);
+    if (!seed) return null;
+
+    // Saves from before modes existed are endless games.
+    const mode = d.mode == null ? MODE_PRESETS.endless : normalizeMode(d.mode);
+    if (!mode) return null;
+    const mask = makeMask(mode, d.width, d.height);
+
+    const kinds = Object.values(PIECE_KIND);
+    if (!Array.isArray(d.board) || d.board.length !== d.height) return null;
+    /** @type {Board} */
+    const board = [];
+    const ids = new Set();
+    for (const [y, row] of d.board.entries()) {
+      if (!Array.isArray(row) || row.length !== d.width) return null;
+      const outRow = [];
+      for (const [x, p] of row.entries()) {
+        // A settled board is full – except for the holes of its shape, which stay empty.
+        if (!mask[y][x]) {
+          if (p != null) return null;
+          outRow.push(null);
+          continue;
+        }
+        if (!p || typeof p !== "object") return null;
+        if (!isIntIn(p.id, 1, Number.MAX_SAFE_INTEGER) || ids.has(p.id)) return null;
+        if (!isIntIn(p.color, 0, d.colors - 1)) return null;
+        if (!kinds.includes(p.kind)) return null;
+        ids.add(p.id);
+        /** @type {Piece} */
+        const piece = { id: p.id, color: p.color, kind: p.kind };
+        if (p.locked === true) piece.locked = true;
+        if (p.kind === PIECE_KIND.ROCKET && (p.dir === "h" || p.dir === "v")) piece.dir = p.dir;
+        outRow.push(piece);
+      }
+      board.push(outRow);
+    }
+
+    const rng = d.rng && typeof d.rng === "object" ? d.rng : {};
+    const stream = (name) => (isIntIn(rng[name], 0, 0xffffffff) ? rng[name] : hashSeed(`${seed}:${name}`));
+
+    /** @type {GameState} */
+    const state = {
+      width: d.width,
+      height: d.height,
+      colors: d.colors,
+      seed,
+      rng: {
+        board: stream("board"),
+        refill: stream("refill"),
+        shuffle: stream("shuffle"),
+      },
+      board,
+      score: Number.isFinite(d.score) && d.score > 0 ? Math.floor(d.score) : 0,
+      nextId: Math.max(Number.isInteger(d.nextId) ? d.nextId : 1, Math.max(0, ...ids) + 1),
+      mode,
+      moves: isIntIn(d.moves, 0, 1e6) ? d.moves : 0,
+      timeLeftMs: null,
+      ice: [],
+      mask,
+      tally: emptyTally(d.colors),
+      stuck: false,
+    };
+    const ice = d.ice;
+    const iceOk =
+      Array.isArray(ice) &&
+      ice.length === d.height &&
+      ice.every((row) => Array.isArray(row) && row.length === d.width && row.every((n) => isIntIn(n, 0, MAX_ICE)));
+    // Saves from before the ice layer have none.
+    state.ice = iceOk ? ice.map((row) => row.slice()) : emptyIce(d.width, d.height);
+    const tally = d.tally && typeof d.tally === "object" ? d.tally : {};
+    const cleared = tally.cleared;
+    if (Array.isArray(cleared) && cleared.length === d.colors && cleared.every((n) => isIntIn(n, 0, 1e9))) {
+      state.tally.cleared = cleared.slice();
+    }
+    for (const kind of [PIECE_KIND.ROCKET, PIECE_KIND.BOMB, PIECE_KIND.CROSS]) {
+      if (isIntIn(tally.created?.[kind], 0, 1e9)) state.tally.created[kind] = tally.created[kind];
+    }
+    if (isIntIn(tally.ice, 0, 1e9)) state.tally.ice = tally.ice;
+    if (isIntIn(tally.unlocked, 0, 1e9)) state.tally.unlocked = tally.unlocked;
+    if (state.mode.timeLimitMs != null) {
+      state.timeLeftMs = Number.isFinite(d.timeLeftMs) && d.timeLeftMs >= 0 ? Math.round(d.timeLeftMs) : state.mode.timeLimitMs;
+    }
+
+    if (findMatchSegments(state).length > 0) return null;
+    ensurePlayable(state);
+    return state;
+  }
+
+  /**
+   * Swap two adjacent cells. If no match is created, the swap is reverted.
+   * Two specials don't swap: they go off together as a combo.
+   * @param {GameState} state
+   * @param {Cell} origin
+   * @param {Cell} target
+   * @returns {{ok:boolean, events:GameEvent[]}} ok = the move was played (state changed)
+   */
+  function swap(state, origin, target) {
+    if (isGameOver(state)) return { ok: false, events: [] };
+    if (!isCell(state, origin.x, origin.y) || !isCell(state, target.x, target.y)) {
+      return { ok: false, events: [] };
+    }
+    if (manhattan(origin, target) !== 1) return { ok: false, events: [] };
+
+    const a = state.board[origin.y][origin.x];
+    const b = state.board[target.y][target.x];
+    if (!a || !b || isLocked(a) || isLocked(b)) return { ok: false, events: [] };
+
+    const o = { x: origin.x, y: origin.y };
+    const t = { x: target.x, y: target.y };
+    if (isSpecial(a) && isSpecial(b)) {
+      const combo = comboKind(a.kind, b.kind);
+      const area = comboArea(state, combo, t);
+      area.push(o);
+      return explode(state, { type: "combo", combo, a: o, b: t, aId: a.id, bId: b.id }, area);
+    }
+
+    swapCells(state, o, t);
+    const matched = findMatchSegments(state).length > 0;
+    /** @type {GameEvent[]} */
+    const events = [{ type: "swap", a: o, b: t, aId: a.id, bId: b.id, matched, board: cloneBoard(state.board) }];
+
+    if (!matched) {
+      swapCells(state, o, t);
+      events.push({ type: "swapBack", a: o, b: t, aId: a.id, bId: b.id, board: cloneBoard(state.board) });
+      return { ok: false, events };
+    }
+
+    state.moves++;
+    events.push(...resolveMatches(state, [o, t]));
+    events.push(...awardTimeBonus(state, events));
+    events.push(...awardLevelBonus(state));
+    events.push(...ensurePlayable(state));
+    return { ok: true, events };
+  }
+
+  /**
+   * Detonate the special at `origin`. A rocket may be aimed at an adjacent `target`.
+   * @param {GameState} state
+   * @param {Cell} origin
+   * @param {Cell|null} [target]
+   * @returns {{ok:boolean, events:GameEvent[]}}
+   */
+  function detonate(state, origin, target = null) {
+    if (isGameOver(state)) return { ok: false, events: [] };
+    if (!isCell(state, origin.x, origin.y)) return { ok: false, events: [] };
+    const p = state.board[origin.y][origin.x];
+    if (!isSpecial(p) || isLocked(p)) return { ok: false, events: [] };
+
+    let center = { x: origin.x, y: origin.y };
+    const aimed = target && manhattan(origin, target) === 1 && isCell(state, target.x, target.y);
+    if (p.kind === PIECE_KIND.ROCKET && aimed) {
+      center = { x: target.x, y: target.y };
+    }
+
+    const area = specialArea(state, p.kind, center, p.dir);
+    // Always remove the activated power-up itself as well.
+    area.push({ x: origin.x, y: origin.y });
+
+    /** @type {DetonateEvent} */
+    const ev = {
+      type: "detonate",
+      kind: /** @type {"rocket"|"bomb"|"cross"} */ (p.kind),
+      origin: { x: origin.x, y: origin.y },
+      center,
+      id: p.id,
+      color: p.color,
+    };
+    if (p.dir) ev.dir = p.dir;
+    return explode(state, ev, area);
+  }
+
+  /**
+   * Play an explosion move (detonation or combo): clear `area` – setting off the specials caught in it –,
+   * refill and resolve what falls into place.
+   * @param {GameState} state
+   * @param {DetonateEvent|ComboEvent} trigger event that starts the animation
+   * @param {Cell[]} area
+   * @returns {{ok:boolean, events:GameEvent[]}}
+   */
+  function explode(state, trigger, area) {
+    /** @type {GameEvent[]} */
+    const events = [trigger];
+
+    state.moves++;
+    // A special caught in a blast goes off, just like one caught in a match – otherwise a detonation
+    // would quietly delete the specials around it.
+    const origins = trigger.type === "combo" ? [trigger.a, trigger.b] : [trigger.origin];
+    const fired = new Set(origins.map((c) => cellKey(c.x, c.y)));
+    const by = trigger.type === "combo" ? trigger.bId : trigger.id;
+    const clearKeys = new Set(area.map((c) => cellKey(c.x, c.y)));
+    events.push(...expandWithSpecialExplosions(state, clearKeys, new Set(), fired, by));
+    const clear = clearCells(state, Array.from(clearKeys, parseKey), "explosion", 0);
+    if (clear) events.push(clear);
+    events.push(collapseAndFill(state));
+    events.push(...resolveMatches(state, null));
+    events.push(...awardTimeBonus(state, events));
+    events.push(...awardLevelBonus(state));
+    events.push(...ensurePlayable(state));
+    return { ok: true, events };
+  }
+
+  /**
+   * Player actions, as recorded for replays. `t` = ms since the game started.
+   * @typedef {{t:number, type:"swap", a:Cell, b:Cell}} SwapAction
+   * @typedef {{t:number, type:"detonate", origin:Cell, target:Cell|null}} DetonateAction
+   * @typedef {{t:number, type:"scoreReset", amount:number}} ScoreResetAction score spent outside the board (skin purchase)
+   * @typedef {SwapAction|DetonateAction|ScoreResetAction} Action
+   */
+
+  /**
+   * @typedef {Object} Recording
+   * @property {string} seed
+   * @property {number} width
+   * @property {number} height
+   * @property {number} colors
+   * @property {ModeConfig} mode
+   * @property {Action[]} actions
+   */
+
+  /**
+   * Re-apply a recorded action. Same seed + same actions = same events.
+   * @param {GameState} state
+   * @param {Action} action
+   * @returns {{ok:boolean, events:GameEvent[]}}
+   */
+  function applyAction(state, action) {
+    if (action.type === "swap") return swap(state, action.a, action.b);
+    if (action.type === "detonate") return detonate(state, action.origin, action.target);
+    if (action.type === "scoreReset") {
+      state.score = Math.max(0, state.score - action.amount);
+      return { ok: true, events: [] };
+    }
+    return { ok: false, events: [] };
+  }
+
+  /**
+   * @param {GameState} state freshly created game
+   * @returns {Recording}
+   */
+  function createRecording(state) {
+    return {
+      seed: state.seed,
+      width: state.width,
+      height: state.height,
+      colors: state.colors,
+      mode: state.mode,
+      actions: [],
+    };
+  }
+
+  /**
+   * Compact, JSON-safe form: actions become small tuples.
+   * [t,"s",ax,ay,bx,by] swap · [t,"d",ox,oy(,tx,ty)] detonate · [t,"r",amount] score reset
+   * @param {Recording} rec
+   */
+  function encodeRecording(rec) {
+    return {
+      v: 1,
+      seed: rec.seed,
+      w: rec.width,
+      h: rec.height,
+      c: rec.colors,
+      m: rec.mode,
+      a: rec.actions.map((act) => {
+        if (act.type === "swap") return [act.t, "s", act.a.x, act.a.y, act.b.x, act.b.y];
+        if (act.type === "detonate") {
+          const base = [act.t, "d", act.origin.x, act.origin.y];
+          return act.target ? [...base, act.target.x, act.target.y] : base;
+        }
+        return [act.t, "r", act.amount];
+      }),
+    };
+  }
+
+  /**
+   * Inverse of `encodeRecording()`; null when the log is malformed.
+   * @param {unknown} data
+   * @returns {Recording|null}
+   */
+  function decodeRecording(data) {
+    if (!data || typeof data !== "object") return null;
+    const d = /** @type {Record<string, any>} */ (data);
+    if (d.v !== 1) return null;
+    const seed = normalizeSeed(d.seed);
+    if (!seed) return null;
+    if (!isIntIn(d.w, LIMITS.minSize, LIMITS.maxSize) || !isIntIn(d.h, LIMITS.minSize, LIMITS.maxSize)) return null;
+    if (!isIntIn(d.c, LIMITS.minColors, LIMITS.maxColors)) return null;
+    if (!Array.isArray(d.a)) return null;
+    const mode = d.m == null ? MODE_PRESETS.endless : normalizeMode(d.m);
+    if (!mode) return null;
+
+    const coord = (v) => isIntIn(v, 0, LIMITS.maxSize - 1);
+    /** @type {Action[]} */
+    const actions = [];
+    for (const a of d.a) {
+      if (!Array.isArray(a) || !Number.isFinite(a[0]) || a[0] < 0) return null;
+      const t = Math.round(a[0]);
+      if (a[1] === "s" && a.length === 6 && a.slice(2).every(coord)) {
+        actions.push({ t, type: "swap", a: { x: a[2], y: a[3] }, b: { x: a[4], y: a[5] } });
+      } else if (a[1] === "d" && (a.length === 4 || a.length === 6) && a.slice(2).every(coord)) {
+        const target = a.length === 6 ? { x: a[4], y: a[5] } : null;
+        actions.push({ t, type: "detonate", origin: { x: a[2], y: a[3] }, target });
+      } else if (a[1] === "r" && a.length === 3 && isIntIn(a[2], 0, Number.MAX_SAFE_INTEGER)) {
+        actions.push({ t, type: "scoreReset", amount: a[2] });
+      } else {
+        return null;
+      }
+    }
+    return { seed, width: d.w, height: d.h, colors: d.c, mode, actions };
+  }
+
+  const api = {
+    PIECE_KIND,
+    DEFAULTS,
+    LIMITS,
+    MODE_PRESETS,
+    SCORING,
+    cascadeMultiplier,
+    TIME_BONUS,
+    LEVEL_BONUS,
+    COMBO,
+    DAILY,
+    hashSeed,
+    createRng,
+    randomSeed,
+    normalizeSeed,
+    createGame,
+    normalizeMode,
+    normalizeLevel,
+    dailyChallenge,
+    movesLeft,
+    isGameOver,
+    objectiveStatus,
+    isLevelComplete,
+    tickTime,
+    timeBonusMs,
+    starsFor,
+    makeBoard,
+    makePiece,
+    cloneBoard,
+    cellKey,
+    parseKey,
+    manhattan,
+    isInBounds,
+    isCell,
+    isSpecial,
+    isLocked,
+    findMatchSegments,
+    computeSpecialCreations,
+    expandWithSpecialExplosions,
+    rocketArea,
+    lineArea,
+    bombArea,
+    crossArea,
+    specialArea,
+    comboKind,
+    comboArea,
+    collapseAndFill,
+    resolveMatches,
+    findValidMoves,
+    hasValidMove,
+    suggestMove,
+    reshuffle,
+    swap,
+    detonate,
+    serializeGame,
+    restoreGame,
+    applyAction,
+    createRecording,
+    encodeRecording,
+    decodeRecording,
+  };
+
+  if (typeof module === "object" && module.exports) module.exports = api;
+  else root.SpojovackaEngine = api;
+})(typeof globalThis !== "undefined" ? globalThis : this);
@@ -6,13 +6,153 @@
   /** @type {HTMLCanvasElement | null} */
   const runnerCanvas = document.getElementById("runner");
   const elScore = document.getElementById("score");
+  const elScoreCombo = document.getElementById("score-combo");
   const elHint = document.getElementById("hint");
   const elSkinList = document.getElementById("skin-list");
   const elRunnerSubtitle = document.getElementById("runner-subtitle");
   const btnNew = document.getElementById("btn-new");
   const toggleSound = document.getElementById("toggle-sound");
-
-  if (!boardCanvas || !runnerCanvas || !elScore || !elHint || !elSkinList || !btnNew || !toggleSound) {
+  /** @type {HTMLInputElement | null} */
+  const seedInput = document.getElementById("seed-input");
+  const elSeed = document.getElementById("seed");
+  const btnShare = document.getElementById("btn-share");
+  const btnHint = document.getElementById("btn-hint");
+  const btnUndo = document.getElementById("btn-undo");
+  const elUndoLeft = document.getElementById("undo-left");
+  const btnCopyLog = document.getElementById("btn-copy-log");
+  const btnReplay = document.getElementById("btn-replay");
+  const elReplayBar = document.getElementById("replay-bar");
+  const elReplayPos = document.getElementById("replay-pos");
+  const btnReplayPlay = document.getElementById("replay-play");
+  const btnReplayStep = document.getElementById("replay-step");
+  /** @type {HTMLSelectElement | null} */
+  const selReplaySpeed = document.getElementById("replay-speed");
+  const btnReplayExit = document.getElementById("replay-exit");
+  /** @type {HTMLSelectElement | null} */
+  const modeSelect = document.getElementById("mode-select");
+  const elMovesBox = document.getElementById("moves-box");
+  const elMovesLeft = document.getElementById("moves-left");
+  const elMovesTarget = document.getElementById("moves-target");
+  const elEndScreen = document.getElementById("end-screen");
+  const elEndTitle = document.getElementById("end-title");
+  const elEndStars = document.getElementById("end-stars");
+  const elEndText = document.getElementById("end-text");
+  const elBestScore = document.getElementById("best-score");
+  const btnEndRestart = document.getElementById("end-restart");
+  const btnEndNext = document.getElementById("end-next");
+  const btnLevels = document.getElementById("btn-levels");
+  const elLevelScreen = document.getElementById("level-screen");
+  const elLevelGrid = document.getElementById("level-grid");
+  const elLevelSummary = document.getElementById("level-summary");
+  const btnLevelClose = document.getElementById("level-close");
+  const elGoalsBox = document.getElementById("goals-box");
+  const elGoalsTitle = document.getElementById("goals-title");
+  const elGoalsList = document.getElementById("goals-list");
+  const btnCustom = document.getElementById("btn-custom");
+  const elCustomScreen = document.getElementById("custom-screen");
+  const elCustomPresets = document.getElementById("custom-presets");
+  /** @type {HTMLInputElement | null} */
+  const inpCustomWidth = document.getElementById("custom-width");
+  /** @type {HTMLInputElement | null} */
+  const inpCustomHeight = document.getElementById("custom-height");
+  /** @type {HTMLInputElement | null} */
+  const inpCustomColors = document.getElementById("custom-colors");
+  const elCustomSwatches = document.getElementById("custom-swatches");
+  const btnCustomStart = document.getElementById("custom-start");
+  const btnCustomClose = document.getElementById("custom-close");
+  const selStatsMode = document.getElementById("stats-mode");
+  const elStatsList = document.getElementById("stats-list");
+  const btnAchievements = document.getElementById("btn-achievements");
+  const elAchievementsScreen = document.getElementById("achievements-screen");
+  const elAchievementsGrid = document.getElementById("achievements-grid");
+  const elAchievementsSummary = document.getElementById("achievements-summary");
+  const btnAchievementsClose = document.getElementById("achievements-close");
+  const elToasts = document.getElementById("toasts");
+  const btnDaily = document.getElementById("btn-daily");
+  const elDailyScreen = document.getElementById("daily-screen");
+  const elDailyInfo = document.getElementById("daily-info");
+  const elDailyStreak = document.getElementById("daily-streak");
+  const elDailyHistory = document.getElementById("daily-history");
+  const btnDailyStart = document.getElementById("daily-start");
+  const btnDailyClose = document.getElementById("daily-close");
+  const elBoardGrid = document.getElementById("board-grid");
+  const elAnnouncer = document.getElementById("announcer");
+  /** @type {HTMLSelectElement | null} */
+  const selPalette = document.getElementById("palette-select");
+  /** @type {HTMLInputElement | null} */
+  const toggleSymbols = document.getElementById("toggle-symbols");
+
+  if (
+    !boardCanvas ||
+    !runnerCanvas ||
+    !elScore ||
+    !elScoreCombo ||
+    !elHint ||
+    !elSkinList ||
+    !btnNew ||
+    !toggleSound ||
+    !seedInput ||
+    !elSeed ||
+    !btnShare ||
+    !btnHint ||
+    !btnUndo ||
+    !elUndoLeft ||
+    !btnCopyLog ||
+    !btnReplay ||
+    !elReplayBar ||
+    !elReplayPos ||
+    !btnReplayPlay ||
+    !btnReplayStep ||
+    !selReplaySpeed ||
+    !btnReplayExit ||
+    !modeSelect ||
+    !elMovesBox ||
+    !elMovesLeft ||
+    !elMovesTarget ||
+    !elEndScreen ||
+    !elEndTitle ||
+    !elEndStars ||
+    !elEndText ||
+    !elBestScore ||
+    !btnEndRestart ||
+    !btnEndNext ||
+    !btnLevels ||
+    !elLevelScreen ||
+    !elLevelGrid ||
+    !elLevelSummary ||
+    !btnLevelClose ||
+    !elGoalsBox ||
+    !elGoalsTitle ||
+    !elGoalsList ||
+    !btnCustom ||
+    !elCustomScreen ||
+    !elCustomPresets ||
+    !inpCustomWidth ||
+    !inpCustomHeight ||
+    !inpCustomColors ||
+    !elCustomSwatches ||
+    !btnCustomStart ||
+    !btnCustomClose ||
+    !selStatsMode ||
+    !elStatsList ||
+    !btnAchievements ||
+    !elAchievementsScreen ||
+    !elAchievementsGrid ||
+    !elAchievementsSummary ||
+    !btnAchievementsClose ||
+    !elToasts ||
+    !btnDaily ||
+    !elDailyScreen ||
+    !elDailyInfo ||
+    !elDailyStreak ||
+    !elDailyHistory ||
+    !btnDailyStart ||
+    !btnDailyClose ||
+    !elBoardGrid ||
+    !elAnnouncer ||
+    !selPalette ||
+    !toggleSymbols
+  ) {
     // eslint-disable-next-line no-console
     console.error("Missing required DOM elements.");
     return;
@@ -29,8 +169,16 @@
     return;
   }
 
-  const GRID = 8;
+  const Engine = window.SpojovackaEngine;
+  if (!Engine) {
+    // eslint-disable-next-line no-console
+    console.error("Game engine (engine.js) not loaded.");
+    return;
+  }
+
   const STORAGE_KEY = "spojovacka:v1";
+  const GAME_KEY = "spojovacka:game:v1";
+  const LEVELS_URL = "./levels.json";
 
   // Animation + juice
   const ANIM = {
@@ -39,61 +187,356 @@
     popMs: 160,
     minFallMs: 110,
     fallPerCellMs: 55,
+    shuffleMs: 480,
+    undoMs: 320,
+    sweepMs: 240,
+    popupMs: 800,
+    calloutMs: 1150,
+  };
+
+  // Special + special combos: shake (px), blast effect length, hint
+  const COMBO_FX = {
+    plus: { shake: 11, blastMs: 520, hint: "⚡ Dvě rakety! Obří plus přes celý řádek i sloupec." },
+    wideCross: { shake: 14, blastMs: 620, hint: "🔥 Trojitý kříž! Tři řádky a tři sloupce najednou." },
+    megaBomb: { shake: 18, blastMs: 720, hint: "💥 MEGA BOMBA!" },
+  };
+
+  // Blitz clock bar (drawn on the board canvas)
+  const CLOCK = {
+    warnMs: 10000,
+    bonusFlashMs: 1100,
+  };
+
+  const UNDO_PER_GAME = 3;
+
+  // How long an achievement toast stays up
+  const TOAST_MS = 3600;
+
+  // Past daily challenges kept in localStorage
+  const DAILY_HISTORY_DAYS = 365;
+
+  // Names of the engine's DAILY.rules
+  const DAILY_RULES = {
+    classic: { name: "Klasika", desc: "Obvyklé bodování." },
+    blast: { name: "Ohňostroj", desc: "Dílek zničený power-upem je za 3 body." },
+    cascade: { name: "Vodopády", desc: "Násobič kaskády roste o ×1 za vlnu (až ×5)." },
+    workshop: { name: "Dílna", desc: "Dvojnásobný bonus za vytvořené power-upy." },
+    longRuns: { name: "Dlouhé řady", desc: "Každý dílek nad 3 v řadě +3 body." },
+  };
+
+  // Replay pacing between recorded actions (recorded gap, clamped), before speed scaling
+  const REPLAY = {
+    minGapMs: 250,
+    maxGapMs: 1800,
+  };
+
+  // Suggested-move hint: shown after idleMs without input, or on demand (button has a cooldown)
+  const HINT = {
+    idleMs: 5000,
+    cooldownMs: 10000,
   };
 
   // High-contrast palette (more distinguishable hues on dark background)
+  /** @typedef {{name:string, spoken:string, base:string, hi:string, glow:string}} PieceColor */
+
+  // `spoken` = what screen readers say (Czech, "barva" is feminine)
+  /** @type {PieceColor[]} */
   const COLORS = [
-    { name: "Cyan", base: "#22d3ee", hi: "#cffafe", glow: "rgba(34, 211, 238, 0.55)" },
-    { name: "Lime", base: "#4ade80", hi: "#d1fae5", glow: "rgba(74, 222, 128, 0.52)" },
-    { name: "Yellow", base: "#fbbf24", hi: "#fef3c7", glow: "rgba(251, 191, 36, 0.52)" },
-    { name: "Orange", base: "#f97316", hi: "#ffedd5", glow: "rgba(249, 115, 22, 0.52)" },
-    { name: "Red", base: "#ef4444", hi: "#fee2e2", glow: "rgba(239, 68, 68, 0.52)" },
-    { name: "Magenta", base: "#d946ef", hi: "#fae8ff", glow: "rgba(217, 70, 239, 0.52)" },
+    { name: "Cyan", spoken: "tyrkysová", base: "#22d3ee", hi: "#cffafe", glow: "rgba(34, 211, 238, 0.55)" },
+    { name: "Lime", spoken: "zelená", base: "#4ade80", hi: "#d1fae5", glow: "rgba(74, 222, 128, 0.52)" },
+    { name: "Yellow", spoken: "žlutá", base: "#fbbf24", hi: "#fef3c7", glow: "rgba(251, 191, 36, 0.52)" },
+    { name: "Orange", spoken: "oranžová", base: "#f97316", hi: "#ffedd5", glow: "rgba(249, 115, 22, 0.52)" },
+    { name: "Red", spoken: "červená", base: "#ef4444", hi: "#fee2e2", glow: "rgba(239, 68, 68, 0.52)" },
+    { name: "Magenta", spoken: "fialová", base: "#d946ef", hi: "#fae8ff", glow: "rgba(217, 70, 239, 0.52)" },
   ];
 
+  // Palettes for color vision deficiencies (Okabe–Ito based). A color index means the same piece in every palette.
+  /** @type {Record<string, {name:string, colors:PieceColor[]}>} */
+  const PALETTES = {
+    default: { name: "Výchozí", colors: COLORS },
+    deuteranopia: {
+      name: "Deuteranopie",
+      colors: [
+        paletteColor("Sky", "světle modrá", "#56b4e9"),
+        paletteColor("Blue", "modrá", "#3d7ddb"),
+        paletteColor("Yellow", "žlutá", "#f0e442"),
+        paletteColor("Orange", "oranžová", "#e69f00"),
+        paletteColor("Vermilion", "cihlová", "#d55e00"),
+        paletteColor("Pink", "růžová", "#cc79a7"),
+      ],
+    },
+    // reds look dark to protanopes: white takes the red's place
+    protanopia: {
+      name: "Protanopie",
+      colors: [
+        paletteColor("Sky", "světle modrá", "#56b4e9"),
+        paletteColor("Blue", "modrá", "#3d7ddb"),
+        paletteColor("Yellow", "žlutá", "#f0e442"),
+        paletteColor("Orange", "oranžová", "#e69f00"),
+        paletteColor("White", "bílá", "#e6e6e6"),
+        paletteColor("Pink", "růžová", "#cc79a7"),
+      ],
+    },
+    // blue/green and yellow/violet pairs collapse: reds, cyan and white stay apart
+    tritanopia: {
+      name: "Tritanopie",
+      colors: [
+        paletteColor("Cyan", "tyrkysová", "#4dd2e0"),
+        paletteColor("Teal", "zelenomodrá", "#1b9e77"),
+        paletteColor("Pink", "růžová", "#ffb3c6"),
+        paletteColor("Orange", "oranžová", "#f26b38"),
+        paletteColor("Red", "červená", "#c0392b"),
+        paletteColor("White", "bílá", "#ededed"),
+      ],
+    },
+  };
+
+  // Colorblind symbols, one per color index (text in the HUD; the board draws the same shapes as paths)
+  const COLOR_SYMBOLS = ["●", "▲", "■", "◆", "★", "✖"];
+
   const PIECE_THEME = /** @type {const} */ ({
     BALLS: "balls",
     DINOS: "dinos",
     DIAMONDS: "diamonds",
   });
 
-  const PIECE_KIND = /** @type {const} */ ({
-    NORMAL: "normal",
-    ROCKET: "rocket",
-    BOMB: "bomb",
-  });
+  const { PIECE_KIND } = Engine;
+
+  // Text form of the specials (goals, hints); on the board the cross is drawn, not an emoji
+  const SPECIAL_ICON = {
+    rocket: "🚀",
+    bomb: "💣",
+    cross: "✚",
+  };
+
+  // Screen reader wording: the special's name, "it went off" and "a new one appeared"
+  const SPECIAL_SPOKEN = {
+    rocket: { name: "raketa", fired: "odpálena raketa", created: "vznikla raketa" },
+    bomb: { name: "bomba", fired: "odpálena bomba", created: "vznikla bomba" },
+    cross: { name: "kříž", fired: "odpálen kříž", created: "vznikl kříž" },
+  };
+
+  const COMBO_SPOKEN = {
+    plus: "dvě rakety",
+    wideCross: "trojitý kříž",
+    megaBomb: "mega bomba",
+  };
+
+  // "Vlastní hra" quick picks
+  const SETUP_PRESETS = [
+    { name: "Děti", width: 6, height: 6, colors: 4 },
+    { name: "Klasika", width: 8, height: 8, colors: 6 },
+    { name: "Velká", width: 10, height: 10, colors: 6 },
+  ];
 
   const SKINS = [
     { id: "mouse", name: "Myš", emoji: "🐭", cost: 0 },
     { id: "rat", name: "Potkan", emoji: "🐀", cost: 120 },
     { id: "dog", name: "Pes", emoji: "🐶", cost: 280 },
     { id: "dino", name: "Dinosaurus", emoji: "🦖", cost: 520 },
+    // not for sale: the achievement hands them out
+    { id: "fox", name: "Liška", emoji: "🦊", cost: 0, achievement: "cascade5" },
+    { id: "cat", name: "Kočka", emoji: "🐱", cost: 0, achievement: "chainBomb" },
+  ];
+
+  /**
+   * `skin` = the skin the achievement unlocks.
+   * @typedef {{id:string, icon:string, name:string, desc:string, skin?:string}} Achievement
+   */
+
+  /** @type {Achievement[]} */
+  const ACHIEVEMENTS = [
+    { id: "firstRocket", icon: "🚀", name: "Start!", desc: "Vytvoř první raketu." },
+    { id: "firstCross", icon: "✚", name: "Na křižovatce", desc: "Vytvoř první kříž." },
+    { id: "firstBomb", icon: "💣", name: "První bomba", desc: "Vytvoř první bombu." },
+    { id: "combo", icon: "⚡", name: "Dvojitý zásah", desc: "Prohoď dva power-upy mezi sebou." },
+    { id: "cascade5", icon: "🌊", name: "Vodopád", desc: "Kaskáda 5 vln v jednom tahu.", skin: "fox" },
+    { id: "clear40", icon: "🚜", name: "Buldozer", desc: "Znič 40 dílků jedním tahem." },
+    {
+      id: "chainBomb",
+      icon: "⛓",
+      name: "Řetězová reakce",
+      desc: "Odpal bombu, která odpálí další power-up.",
+      skin: "cat",
+    },
+    { id: "threeStars", icon: "⭐", name: "Hvězdný", desc: "Dokonči level kampaně na 3★." },
+    { id: "allSkins", icon: "👑", name: "Sběratel", desc: "Vlastni všechny skiny." },
   ];
 
+  /**
+   * Board for new games outside the campaign.
+   * @typedef {{width:number, height:number, colors:number}} BoardSetup
+   */
+
   /**
    * @typedef {Object} PersistedState
    * @property {boolean} soundEnabled
    * @property {"balls"|"dinos"|"diamonds"} pieceTheme
    * @property {string} activeSkin
    * @property {string[]} ownedSkins
+   * @property {Record<string, number>} bestScores best score per mode id (campaign: "level:<id>",
+   *   custom boards: "<mode>:<w>x<h>:<colors>")
+   * @property {Record<string, number>} levelStars best stars (1..3) per finished campaign level
+   * @property {BoardSetup} boardSetup size + colors of the next new game ("Vlastní hra")
+   * @property {Record<string, ModeStats>} stats lifetime stats per mode id (all campaign levels share "level")
+   * @property {Record<string, number>} achievements unlock time (ms since epoch) per achievement id
+   * @property {Record<string, DailyResult>} daily daily challenge attempts per day ("YYYY-MM-DD")
+   * @property {string} palette key into PALETTES
+   * @property {boolean} colorSymbols draw each color's symbol on the pieces
+   */
+
+  /**
+   * One day's single attempt. `done` = played to the end (an abandoned attempt keeps its score).
+   * @typedef {{score:number, stars:number, moves:number, done:boolean}} DailyResult
+   */
+
+  /**
+   * Counted from the moves' events, never from the score – buying a skin doesn't take anything back.
+   * @typedef {Object} ModeStats
+   * @property {number} games games with at least one move
+   * @property {number} best
+   * @property {number} cleared destroyed pieces
+   * @property {{rocket:number, bomb:number, cross:number}} created
+   * @property {{rocket:number, bomb:number, cross:number}} detonated specials that went off (fired, combos, chains)
+   * @property {number} longestCascade
+   * @property {number} points points earned on the board
+   * @property {number} moves
+   */
+
+  /** @returns {ModeStats} */
+  function emptyStats() {
+    return {
+      games: 0,
+      best: 0,
+      cleared: 0,
+      created: { rocket: 0, bomb: 0, cross: 0 },
+      detonated: { rocket: 0, bomb: 0, cross: 0 },
+      longestCascade: 0,
+      points: 0,
+      moves: 0,
+    };
+  }
+
+  /**
+   * @param {unknown} v
+   * @returns {Record<string, ModeStats>}
+   */
+  function normalizeStats(v) {
+    /** @type {Record<string, ModeStats>} */
+    const out = {};
+    if (!v || typeof v !== "object") return out;
+    const count = (n) => (Number.isFinite(n) && n > 0 ? Math.floor(n) : 0);
+    for (const [id, raw] of Object.entries(v)) {
+      if (!raw || typeof raw !== "object") continue;
+      const st = emptyStats();
+      for (const k of /** @type {const} */ (["games", "best", "cleared", "longestCascade", "points", "moves"])) {
+        st[k] = count(raw[k]);
+      }
+      for (const kind of /** @type {const} */ (["rocket", "bomb", "cross"])) {
+        st.created[kind] = count(raw.created?.[kind]);
+        st.detonated[kind] = count(raw.detonated?.[kind]);
+      }
+      out[id] = st;
+    }
+    return out;
+  }
+
+  /**
+   * @param {unknown} v
+   * @returns {Record<string, DailyResult>}
+   */
+  function normalizeDaily(v) {
+    /** @type {Record<string, DailyResult>} */
+    const out = {};
+    if (!v || typeof v !== "object") return out;
+    const count = (n) => (Number.isFinite(n) && n > 0 ? Math.floor(n) : 0);
+    for (const [day, raw] of Object.entries(v)) {
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(day) || !raw || typeof raw !== "object") continue;
+      out[day] = {
+        score: count(raw.score),
+        stars: Math.min(3, count(raw.stars)),
+        moves: count(raw.moves),
+        done: raw.done === true,
+      };
+    }
+    return out;
+  }
+
+  /** @returns {BoardSetup} */
+  function defaultSetup() {
+    return { width: Engine.DEFAULTS.width, height: Engine.DEFAULTS.height, colors: Engine.DEFAULTS.colors };
+  }
+
+  /** @param {BoardSetup} s */
+  function isDefaultSetup(s) {
+    const d = Engine.DEFAULTS;
+    return s.width === d.width && s.height === d.height && s.colors === d.colors;
+  }
+
+  /**
+   * @param {unknown} v
+   * @returns {BoardSetup|null}
    */
+  function normalizeSetup(v) {
+    if (!v || typeof v !== "object") return null;
+    const d = /** @type {Record<string, any>} */ (v);
+    const { minSize, maxSize, minColors, maxColors } = Engine.LIMITS;
+    const within = (n, min, max) => Number.isInteger(n) && n >= min && n <= max;
+    if (!within(d.width, minSize, maxSize) || !within(d.height, minSize, maxSize)) return null;
+    if (!within(d.colors, minColors, maxColors)) return null;
+    return { width: d.width, height: d.height, colors: d.colors };
+  }
+
+  /** @returns {PersistedState} a first visit (or an unreadable save) */
+  function defaultPersisted() {
+    return {
+      soundEnabled: true,
+      pieceTheme: PIECE_THEME.BALLS,
+      activeSkin: "mouse",
+      ownedSkins: ["mouse"],
+      bestScores: {},
+      levelStars: {},
+      boardSetup: defaultSetup(),
+      stats: {},
+      achievements: {},
+      daily: {},
+      palette: "default",
+      colorSymbols: false,
+    };
+  }
 
   /** @returns {PersistedState} */
   function loadPersistedState() {
     try {
       const raw = localStorage.getItem(STORAGE_KEY);
-      if (!raw) {
-        return {
-          soundEnabled: true,
-          pieceTheme: PIECE_THEME.BALLS,
-          activeSkin: "mouse",
-          ownedSkins: ["mouse"],
-        };
-      }
+      if (!raw) return defaultPersisted();
       const parsed = /** @type {Partial<PersistedState>} */ (JSON.parse(raw));
       const owned = Array.isArray(parsed.ownedSkins) ? parsed.ownedSkins.filter(Boolean) : ["mouse"];
       if (!owned.includes("mouse")) owned.push("mouse");
       const active = typeof parsed.activeSkin === "string" ? parsed.activeSkin : "mouse";
+      /** @type {Record<string, number>} */
+      const bestScores = {};
+      if (parsed.bestScores && typeof parsed.bestScores === "object") {
+        for (const [k, v] of Object.entries(parsed.bestScores)) {
+          if (Number.isFinite(v) && v > 0) bestScores[k] = Math.floor(v);
+        }
+      }
+      /** @type {Record<string, number>} */
+      const achievements = {};
+      if (parsed.achievements && typeof parsed.achievements === "object") {
+        for (const [k, v] of Object.entries(parsed.achievements)) {
+          if (ACHIEVEMENTS.some((a) => a.id === k) && Number.isFinite(v) && v > 0) achievements[k] = v;
+        }
+      }
+      // achievement skins belong to whoever unlocked them (even if the skin list changed since)
+      for (const a of ACHIEVEMENTS) if (a.skin && achievements[a.id] && !owned.includes(a.skin)) owned.push(a.skin);
+      /** @type {Record<string, number>} */
+      const levelStars = {};
+      if (parsed.levelStars && typeof parsed.levelStars === "object") {
+        for (const [k, v] of Object.entries(parsed.levelStars)) {
+          if (Number.isInteger(v) && v >= 1 && v <= 3) levelStars[k] = v;
+        }
+      }
       return {
         soundEnabled: typeof parsed.soundEnabled === "boolean" ? parsed.soundEnabled : true,
         pieceTheme:
@@ -102,14 +545,20 @@
             : PIECE_THEME.BALLS,
         activeSkin: owned.includes(active) ? active : "mouse",
         ownedSkins: owned,
+        bestScores,
+        levelStars,
+        boardSetup: normalizeSetup(parsed.boardSetup) ?? defaultSetup(),
+        stats: normalizeStats(parsed.stats),
+        achievements,
+        daily: normalizeDaily(parsed.daily),
+        palette:
+          typeof parsed.palette === "string" && Object.prototype.hasOwnProperty.call(PALETTES, parsed.palette)
+            ? parsed.palette
+            : "default",
+        colorSymbols: parsed.colorSymbols === true,
       };
     } catch {
-      return {
-        soundEnabled: true,
-        pieceTheme: PIECE_THEME.BALLS,
-        activeSkin: "mouse",
-        ownedSkins: ["mouse"],
-      };
+      return defaultPersisted();
     }
   }
 
@@ -180,7 +629,11 @@
   }
 
   /**
-   * @param {"match"|"bad"|"rocket"|"bomb"|"ui"|"swap"} kind
+   * @typedef {"match"|"bad"|"rocket"|"bomb"|"cross"|"ui"|"swap"|"shuffle"|"undo"|"win"|"unlock"|"ice"} SfxKind
+   */
+
+  /**
+   * @param {SfxKind|import("./engine.js").ComboKind} kind
    * @param {number} intensity 0..1
    */
   function playSfx(kind, intensity = 1) {
@@ -235,12 +688,52 @@
       return;
     }
 
+    if (kind === "shuffle") {
+      // airy whoosh + rising chirp
+      mkNoise(0.28, 0.07 * (0.6 + it * 0.7), "bandpass", 1400, 0.6);
+      mkTone("triangle", 330, 660, 0.22, 0.06 * (0.6 + it * 0.6), -4);
+      mkTone("sine", 495, 990, 0.2, 0.035 * (0.6 + it * 0.6), 5);
+      return;
+    }
+
+    if (kind === "win") {
+      // little fanfare: rising major arpeggio
+      mkTone("triangle", 523, 523, 0.14, 0.08 * (0.6 + it * 0.6), -4);
+      mkTone("triangle", 659, 659, 0.2, 0.07 * (0.6 + it * 0.6), 3);
+      mkTone("sine", 784, 1046, 0.32, 0.06 * (0.6 + it * 0.6), 0);
+      mkNoise(0.12, 0.025 * (0.4 + it), "highpass", 2400, 0.7);
+      return;
+    }
+
+    if (kind === "undo") {
+      // rewind: falling chirp
+      mkTone("triangle", 880, 420, 0.16, 0.07 * (0.6 + it * 0.6), -6);
+      mkTone("sine", 660, 330, 0.14, 0.04 * (0.6 + it * 0.6), 4);
+      return;
+    }
+
     if (kind === "bad") {
       mkTone("sine", 220, 130, 0.09, 0.09 * (0.6 + it * 0.7));
       mkNoise(0.08, 0.08 * (0.55 + it * 0.8), "lowpass", 420, 0.9);
       return;
     }
 
+    if (kind === "unlock") {
+      // metallic clank + falling chain rattle
+      mkTone("square", 880, 620, 0.05, 0.035 * (0.6 + it * 0.6), -10);
+      mkTone("triangle", 1320, 990, 0.08, 0.04 * (0.6 + it * 0.6), 8);
+      mkNoise(0.14, 0.06 * (0.5 + it * 0.7), "bandpass", 2600, 2.5);
+      return;
+    }
+
+    if (kind === "ice") {
+      // glassy crack: bright ping + brittle high noise
+      mkTone("sine", 1900 + it * 500, 2600, 0.07, 0.05 * (0.6 + it * 0.6), 4);
+      mkTone("triangle", 1250, 900, 0.05, 0.04 * (0.6 + it * 0.6), -6);
+      mkNoise(0.09, 0.07 * (0.5 + it * 0.7), "highpass", 3200, 1.2);
+      return;
+    }
+
     if (kind === "match") {
       // small arpeggio + sparkle noise
       const base = 360 + it * 220;
@@ -259,6 +752,42 @@
       return;
     }
 
+    if (kind === "cross") {
+      // two laser zaps (row + column) over a short thump
+      mkTone("sawtooth", 1400, 180, 0.2, 0.06 * (0.65 + it * 0.7), -12);
+      mkTone("square", 180, 1400, 0.18, 0.04 * (0.65 + it * 0.7), 12);
+      mkTone("sine", 140, 70, 0.16, 0.09 * (0.6 + it * 0.8));
+      mkNoise(0.18, 0.08 * (0.6 + it * 0.8), "highpass", 2000, 0.8);
+      return;
+    }
+
+    if (kind === "plus") {
+      // double whoosh racing out in both directions
+      mkNoise(0.3, 0.14 * (0.7 + it * 0.8), "bandpass", 1100, 0.7);
+      mkTone("sawtooth", 240, 520, 0.26, 0.08 * (0.65 + it * 0.7), -10);
+      mkTone("sawtooth", 250, 560, 0.26, 0.06 * (0.65 + it * 0.7), 10);
+      mkTone("triangle", 880, 440, 0.12, 0.06 * (0.55 + it * 0.7));
+      return;
+    }
+
+    if (kind === "wideCross") {
+      // heavy laser sweep + boom underneath
+      mkTone("sawtooth", 1800, 120, 0.34, 0.07 * (0.65 + it * 0.7), -14);
+      mkTone("square", 120, 1600, 0.3, 0.045 * (0.65 + it * 0.7), 14);
+      mkTone("sine", 150, 55, 0.3, 0.12 * (0.7 + it * 0.9));
+      mkNoise(0.32, 0.1 * (0.6 + it * 0.8), "lowpass", 900, 0.8);
+      return;
+    }
+
+    if (kind === "megaBomb") {
+      // deep double boom + long rumble
+      mkTone("sine", 120, 38, 0.5, 0.16 * (0.7 + it * 0.9));
+      mkTone("triangle", 200, 60, 0.42, 0.08 * (0.6 + it * 0.9), -12);
+      mkTone("sine", 90, 30, 0.6, 0.1 * (0.6 + it * 0.9), 8);
+      mkNoise(0.6, 0.18 * (0.65 + it * 0.9), "lowpass", 380, 0.7);
+      return;
+    }
+
     if (kind === "bomb") {
       // boom + rumble noise
       mkTone("sine", 170, 70, 0.22, 0.13 * (0.7 + it * 0.9));
@@ -268,6 +797,28 @@
     }
   }
 
+  /**
+   * Palette entry from its base color: a light highlight and a matching glow.
+   * @param {string} name
+   * @param {string} spoken
+   * @param {string} base "#rrggbb"
+   * @returns {PieceColor}
+   */
+  function paletteColor(name, spoken, base) {
+    const rgb = [1, 3, 5].map((i) => parseInt(base.slice(i, i + 2), 16));
+    const hi = rgb.map((v) => Math.round(v + (255 - v) * 0.78).toString(16).padStart(2, "0")).join("");
+    return { name, spoken, base, hi: `#${hi}`, glow: `rgba(${rgb.join(", ")}, 0.52)` };
+  }
+
+  /**
+   * Color of a piece color index in the chosen palette.
+   * @param {number} index
+   * @returns {PieceColor|undefined}
+   */
+  function colorOf(index) {
+    return (PALETTES[persisted.palette] ?? PALETTES.default).colors[index];
+  }
+
   function clamp(v, a, b) {
     return Math.max(a, Math.min(b, v));
   }
@@ -290,75 +841,22 @@
     return 1 + c3 * Math.pow(t - 1, 3) + c1 * Math.pow(t - 1, 2);
   }
 
-  function randInt(n) {
-    return Math.floor(Math.random() * n);
-  }
-
-  function cellKey(x, y) {
-    return `${x},${y}`;
-  }
+  /** @typedef {import("./engine.js").Piece} Piece */
 
-  let nextId = 1;
+  /** Authoritative rules state (see engine.js). */
+  let game = Engine.createGame({ ...persisted.boardSetup });
+  /** Cosmetic randomness (particles, drop jitter) – seeded separately so it never shifts gameplay streams. */
+  let fxRandom = Engine.createRng(`${game.seed}:fx`);
+  /** Bumped by newGame() so playback of a previous game stops touching the view. */
+  let gameGen = 0;
 
   /**
-   * @typedef {Object} Piece
-   * @property {number} id
-   * @property {number} color 0..COLORS.length-1
-   * @property {"normal"|"rocket"|"bomb"} kind
+   * What the canvas currently shows. Lags behind `game.board` while events are being animated.
+   * @type {(Piece|null)[][]}
    */
-
-  /** @returns {Piece} */
-  function makePiece(color, kind = PIECE_KIND.NORMAL) {
-    return { id: nextId++, color, kind };
-  }
-
-  /** @returns {(Piece|null)[][]} */
-  function makeBoard() {
-    /** @type {(Piece|null)[][]} */
-    const b = [];
-    for (let y = 0; y < GRID; y++) {
-      const row = [];
-      for (let x = 0; x < GRID; x++) {
-        const forbid = new Set();
-        // Avoid creating immediate 3-in-a-row at init time
-        if (x >= 2) {
-          const p1 = row[x - 1];
-          const p2 = row[x - 2];
-          if (p1 && p2 && p1.color === p2.color) forbid.add(p1.color);
-        }
-        if (y >= 2) {
-          const p1 = b[y - 1]?.[x];
-          const p2 = b[y - 2]?.[x];
-          if (p1 && p2 && p1.color === p2.color) forbid.add(p1.color);
-        }
-
-        let color = randInt(COLORS.length);
-        if (forbid.size > 0) {
-          let tries = 0;
-          while (forbid.has(color) && tries < 12) {
-            color = randInt(COLORS.length);
-            tries++;
-          }
-          if (forbid.has(color)) {
-            // deterministic fallback
-            for (let c = 0; c < COLORS.length; c++) {
-              if (!forbid.has(c)) {
-                color = c;
-                break;
-              }
-            }
-          }
-        }
-
-        row.push(makePiece(color, PIECE_KIND.NORMAL));
-      }
-      b.push(row);
-    }
-    return b;
-  }
-
-  /** @type {(Piece|null)[][]} */
-  let board = makeBoard();
+  let board = Engine.cloneBoard(game.board);
+  /** Ice layers as shown (lags `game.ice` like `board`). */
+  let ice = game.ice.map((row) => row.slice());
   let score = 0;
 
   let isBusy = false;
@@ -373,9 +871,23 @@
   /** @type {Map<number, {start:number,dur:number,fromA:number,toA:number,fromS:number,toS:number,ease:(t:number)=>number}>} */
   const styleAnims = new Map();
 
-  /** @type {{x:number,y:number,vx:number,vy:number,life:number,age:number,color:string}[]} */
+  /** @type {{x:number,y:number,vx:number,vy:number,life:number,age:number,color:string,shard?:boolean}[]} */
   const particles = [];
 
+  /** Combo shockwaves, in cell units. */
+  /** @type {{combo:import("./engine.js").ComboKind, x:number, y:number, age:number, life:number}[]} */
+  const blasts = [];
+
+  /**
+   * Floating "+N" over cleared groups and the big cascade callout, in cell units.
+   * @type {{text:string, x:number, y:number, size:number, color:string, age:number, life:number, callout:boolean}[]}
+   */
+  const popups = [];
+
+  /** Line rocket projectiles flying out to both ends of their row/column, in cell units. */
+  /** @type {{x:number, y:number, dir:"h"|"v", color:number, age:number, life:number}[]} */
+  const sweeps = [];
+
   let boardShake = 0; // px
   let boardShakeT = 0;
 
@@ -392,6 +904,63 @@
   let specialOrigin = null;
   /** @type {{x:number,y:number}|null} */
   let specialTarget = null;
+  /** keyboard cursor (drawn only while playing from the keyboard) */
+  /** @type {{x:number,y:number}|null} */
+  let cursor = null;
+  let cursorVisible = false;
+
+  /** suggested swap (pulsing cells) */
+  /** @type {import("./engine.js").ValidMove|null} */
+  let suggestion = null;
+  let suggestionStart = 0;
+  let lastInputAt = performance.now();
+  let hintCooldownUntil = 0;
+
+  /**
+   * One take-back, taken before each played move: the game plus the lifetime records the move may change,
+   * so an undone move leaves no stats or achievements behind.
+   * @typedef {Object} UndoEntry
+   * @property {ReturnType<typeof Engine.serializeGame>} game the game before the move
+   * @property {ModeStats} stats the mode's stats before the move
+   * @property {string[]} achievements ids unlocked before the move
+   * @property {string[]} skins owned before the move
+   */
+
+  /** Newest last. */
+  /** @type {UndoEntry[]} */
+  let undoStack = [];
+  let undosLeft = UNDO_PER_GAME;
+
+  /** Log of the live game (seed + played actions), for sharing and replay. */
+  /** @type {import("./engine.js").Recording} */
+  let recording = Engine.createRecording(game);
+  /** performance.now() at which recording time t=0 lies */
+  let recordStart = performance.now();
+
+  /**
+   * Active replay viewer. While set, `game` is the replayed state and nothing is saved or recorded.
+   * @type {{rec: import("./engine.js").Recording, index:number, playing:boolean, busy:boolean, timer:number|null}|null}
+   */
+  let replay = null;
+  /** Animation speed multiplier (replay speed control). */
+  let animSpeed = 1;
+
+  /** Blitz: the clock starts with the player's first touch. */
+  let clockRunning = false;
+  /** @type {{ms:number, start:number}|null} */
+  let timeBonusFlash = null;
+  /** Best score for the current mode when this game started (for "new record"). */
+  let bestAtStart = 0;
+  /** This game beat `bestAtStart` (stays true after a skin purchase resets the score). */
+  let newRecord = false;
+  /** This game already counts in `stats.games`. */
+  let gameCounted = false;
+
+  /**
+   * Campaign levels from levels.json (empty until loaded / when it can't be loaded).
+   * @type {import("./engine.js").Level[]}
+   */
+  let campaign = [];
 
   /** @param {string} msg */
   function setHint(msg) {
@@ -416,11 +985,24 @@
     bumpScore();
   }
 
+  /**
+   * Cascade multiplier next to the score; shown while a chain keeps going, hidden with 1 or less.
+   * @param {number} m
+   */
+  function showMultiplier(m) {
+    elScoreCombo.hidden = m <= 1;
+    if (m <= 1) return;
+    elScoreCombo.textContent = `kombo ×${String(m).replace(".", ",")}`;
+    elScoreCombo.classList.remove("bump");
+    void elScoreCombo.offsetWidth;
+    elScoreCombo.classList.add("bump");
+  }
+
   function syncVisualsToBoard() {
     /** @type {Set<number>} */
     const present = new Set();
-    for (let y = 0; y < GRID; y++) {
-      for (let x = 0; x < GRID; x++) {
+    for (let y = 0; y < game.height; y++) {
+      for (let x = 0; x < game.width; x++) {
         const p = board[y][x];
         if (!p) continue;
         present.add(p.id);
@@ -451,7 +1033,7 @@
     v.x = fromX;
     v.y = fromY;
     visuals.set(id, v);
-    moveAnims.set(id, { start: performance.now(), dur: ms, fromX, fromY, toX, toY, ease });
+    moveAnims.set(id, { start: performance.now(), dur: ms / animSpeed, fromX, fromY, toX, toY, ease });
   }
 
   function scheduleStyle(id, fromA, toA, fromS, toS, ms, ease = easeOutCubic) {
@@ -459,7 +1041,7 @@
     v.alpha = fromA;
     v.scale = fromS;
     visuals.set(id, v);
-    styleAnims.set(id, { start: performance.now(), dur: ms, fromA, toA, fromS, toS, ease });
+    styleAnims.set(id, { start: performance.now(), dur: ms / animSpeed, fromA, toA, fromS, toS, ease });
   }
 
   function hasStepAnimations() {
@@ -478,16 +1060,16 @@
     const cell = getBoardCellSize();
     const px = (cellX + 0.5) * cell;
     const py = (cellY + 0.5) * cell;
-    const c = COLORS[colorIdx]?.glow ?? "rgba(255,255,255,0.35)";
+    const c = colorOf(colorIdx)?.glow ?? "rgba(255,255,255,0.35)";
     for (let i = 0; i < count; i++) {
-      const a = Math.random() * Math.PI * 2;
-      const sp = 40 + Math.random() * 120;
+      const a = fxRandom() * Math.PI * 2;
+      const sp = 40 + fxRandom() * 120;
       particles.push({
         x: px,
         y: py,
         vx: Math.cos(a) * sp,
         vy: Math.sin(a) * sp - 30,
-        life: 0.35 + Math.random() * 0.20,
+        life: 0.35 + fxRandom() * 0.20,
         age: 0,
         color: c,
       });
@@ -495,6 +1077,101 @@
     while (particles.length > 260) particles.shift();
   }
 
+  /**
+   * "+N" at the centroid of every connected group of cleared cells. The clear's points are split
+   * between the groups by size (the engine scores the clear as a whole).
+   * @param {import("./engine.js").ClearEvent} ev
+   */
+  function spawnScorePopups(ev) {
+    if (ev.points <= 0 || ev.cells.length === 0) return;
+    const byKey = new Map(ev.cells.map((c) => [`${c.x},${c.y}`, c]));
+    /** @type {(typeof ev.cells)[]} */
+    const groups = [];
+    for (const start of ev.cells) {
+      if (!byKey.has(`${start.x},${start.y}`)) continue;
+      byKey.delete(`${start.x},${start.y}`);
+      const group = [start];
+      for (let i = 0; i < group.length; i++) {
+        const { x, y } = group[i];
+        for (const k of [`${x + 1},${y}`, `${x - 1},${y}`, `${x},${y + 1}`, `${x},${y - 1}`]) {
+          const n = byKey.get(k);
+          if (!n) continue;
+          byKey.delete(k);
+          group.push(n);
+        }
+      }
+      groups.push(group);
+    }
+
+    const explosion = ev.cause === "explosion";
+    let left = ev.points;
+    groups.forEach((group, i) => {
+      const share = i === groups.length - 1 ? left : Math.round((ev.points * group.length) / ev.cells.length);
+      left -= share;
+      if (share <= 0) return;
+      const cx = group.reduce((a, c) => a + c.x, 0) / group.length;
+      const cy = group.reduce((a, c) => a + c.y, 0) / group.length;
+      popups.push({
+        text: `+${share}`,
+        x: cx,
+        y: Math.max(0.3, cy),
+        size: clamp(0.34 + share * 0.012, 0.34, 0.6),
+        color: explosion ? "#fff1b8" : colorOf(group[0].color)?.hi ?? "#ffffff",
+        age: 0,
+        life: ANIM.popupMs / 1000 / animSpeed,
+        callout: false,
+      });
+    });
+  }
+
+  /**
+   * Big text over the middle of the board; a newer one replaces the old.
+   * @param {string} text
+   * @param {string} color
+   * @param {number} size font size in cells
+   */
+  function spawnCallout(text, color, size) {
+    for (let i = popups.length - 1; i >= 0; i--) if (popups[i].callout) popups.splice(i, 1);
+    popups.push({
+      text,
+      x: (game.width - 1) / 2,
+      y: (game.height - 1) / 2,
+      size,
+      color,
+      age: 0,
+      life: ANIM.calloutMs / 1000 / animSpeed,
+      callout: true,
+    });
+  }
+
+  /** @param {number} multiplier */
+  function spawnCascadeCallout(multiplier) {
+    const m = `×${String(multiplier).replace(".", ",")}`;
+    if (multiplier >= 4) spawnCallout(`MEGA KOMBO ${m}!`, "#ff8a5c", 0.95);
+    else if (multiplier >= 3) spawnCallout(`Super kombo ${m}!`, "#ffd166", 0.95);
+    else spawnCallout(`Kombo ${m}!`, "#9ef0ff", 0.8);
+  }
+
+  /** Ice cracking: pale angular shards that fly wider than the color particles. */
+  function spawnIceParticles(cellX, cellY, count = 7) {
+    const cell = getBoardCellSize();
+    for (let i = 0; i < count; i++) {
+      const a = fxRandom() * Math.PI * 2;
+      const sp = 70 + fxRandom() * 150;
+      particles.push({
+        x: (cellX + 0.2 + fxRandom() * 0.6) * cell,
+        y: (cellY + 0.2 + fxRandom() * 0.6) * cell,
+        vx: Math.cos(a) * sp,
+        vy: Math.sin(a) * sp - 60,
+        life: 0.45 + fxRandom() * 0.25,
+        age: 0,
+        color: "rgba(200,240,255,0.9)",
+        shard: true,
+      });
+    }
+    while (particles.length > 260) particles.shift();
+  }
+
   /**
    * @param {number} dtSeconds
    * @param {number} nowMs
@@ -548,6 +1225,22 @@
       }
     }
 
+    // combo blasts
+    for (let i = blasts.length - 1; i >= 0; i--) {
+      blasts[i].age += dtSeconds;
+      if (blasts[i].age >= blasts[i].life) blasts.splice(i, 1);
+    }
+    for (let i = sweeps.length - 1; i >= 0; i--) {
+      sweeps[i].age += dtSeconds;
+      if (sweeps[i].age >= sweeps[i].life) sweeps.splice(i, 1);
+    }
+
+    // score popups + callouts
+    for (let i = popups.length - 1; i >= 0; i--) {
+      popups[i].age += dtSeconds;
+      if (popups[i].age >= popups[i].life) popups.splice(i, 1);
+    }
+
     // shake
     boardShakeT += dtSeconds;
     if (boardShake > 0) {
@@ -560,14 +1253,6 @@
     }
   }
 
-  function isInBounds(x, y) {
-    return x >= 0 && y >= 0 && x < GRID && y < GRID;
-  }
-
-  function manhattan(a, b) {
-    return Math.abs(a.x - b.x) + Math.abs(a.y - b.y);
-  }
-
   /** @param {HTMLCanvasElement} canvas */
   function resizeCanvasToDisplaySize(canvas) {
     const rect = canvas.getBoundingClientRect();
@@ -588,7 +1273,13 @@
   }
 
   function getBoardCellSize() {
-    return Math.min(boardCanvas.width, boardCanvas.height) / GRID;
+    return Math.min(boardCanvas.width / game.width, boardCanvas.height / game.height);
+  }
+
+  /** Top-left corner of the board in canvas pixels (non-square boards are centered). */
+  function getBoardOrigin() {
+    const cell = getBoardCellSize();
+    return { ox: (boardCanvas.width - cell * game.width) / 2, oy: (boardCanvas.height - cell * game.height) / 2 };
   }
 
   /**
@@ -599,12 +1290,13 @@
     const rect = boardCanvas.getBoundingClientRect();
     if (rect.width <= 0 || rect.height <= 0) return null;
 
-    const px = ((pos.clientX - rect.left) / rect.width) * boardCanvas.width;
-    const py = ((pos.clientY - rect.top) / rect.height) * boardCanvas.height;
+    const { ox, oy } = getBoardOrigin();
+    const px = ((pos.clientX - rect.left) / rect.width) * boardCanvas.width - ox;
+    const py = ((pos.clientY - rect.top) / rect.height) * boardCanvas.height - oy;
     const cell = getBoardCellSize();
     const x = Math.floor(px / cell);
     const y = Math.floor(py / cell);
-    if (!isInBounds(x, y)) return null;
+    if (!Engine.isCell(game, x, y)) return null;
     return { x, y, cx: (x + 0.5) * cell, cy: (y + 0.5) * cell };
   }
 
@@ -616,466 +1308,988 @@
     mode = "idle";
   }
 
-  function collapseAndFill() {
-    for (let x = 0; x < GRID; x++) {
-      /** @type {Piece[]} */
-      const col = [];
-      for (let y = GRID - 1; y >= 0; y--) {
-        const p = board[y][x];
-        if (p) col.push(p);
-      }
-
-      let writeY = GRID - 1;
-      for (const p of col) {
-        board[writeY][x] = p;
-        writeY--;
-      }
-      for (let y = writeY; y >= 0; y--) {
-        board[y][x] = makePiece(randInt(COLORS.length), PIECE_KIND.NORMAL);
-      }
-    }
-  }
-
   /**
-   * @param {{x:number,y:number}[]} cells
-   * @returns {number} destroyed count
+   * Animate a batch of engine events, mirroring each one onto the view `board`.
+   * @param {import("./engine.js").GameEvent[]} events
    */
-  function destroyCells(cells) {
-    /** @type {Set<string>} */
-    const uniq = new Set();
-    for (const c of cells) {
-      if (!isInBounds(c.x, c.y)) continue;
-      uniq.add(cellKey(c.x, c.y));
-    }
-
-    let destroyed = 0;
-    for (const k of uniq) {
-      const [xs, ys] = k.split(",");
-      const x = Number(xs);
-      const y = Number(ys);
-      if (!isInBounds(x, y)) continue;
-      if (board[y][x]) {
-        board[y][x] = null;
-        destroyed++;
-      }
+  async function playEvents(events) {
+    const gen = gameGen;
+    for (const ev of events) {
+      await playEvent(ev, gen);
+      if (gen !== gameGen) return;
     }
-    return destroyed;
+    showMultiplier(1);
+    renderGoals();
+    renderBoardGrid();
   }
 
   /**
-   * @param {{x:number,y:number}} a
-   * @param {{x:number,y:number}} b
+   * @param {import("./engine.js").GameEvent} ev
+   * @param {number} gen gameGen at playback start
    */
-  function swapCells(a, b) {
-    const tmp = board[a.y][a.x];
-    board[a.y][a.x] = board[b.y][b.x];
-    board[b.y][b.x] = tmp;
-  }
+  async function playEvent(ev, gen) {
+    if (ev.type === "swap" || ev.type === "swapBack") {
+      const { a, b } = ev;
+      board = ev.board;
+      if (ev.type === "swap") {
+        scheduleMove(ev.aId, a.x, a.y, b.x, b.y, ANIM.swapMs, easeInOutQuad);
+        scheduleMove(ev.bId, b.x, b.y, a.x, a.y, ANIM.swapMs, easeInOutQuad);
+        syncVisualsToBoard();
+        playSfx("swap", 0.6);
+        await waitForStepAnimations();
+        if (ev.matched) setHint("Good! 🙂");
+      } else {
+        scheduleMove(ev.aId, b.x, b.y, a.x, a.y, ANIM.swapMs, easeInOutQuad);
+        scheduleMove(ev.bId, a.x, a.y, b.x, b.y, ANIM.swapMs, easeInOutQuad);
+        syncVisualsToBoard();
+        playSfx("bad", 0.85);
+        setHint("Nic nespojilo — tah se vrací 🙂");
+        await waitForStepAnimations();
+      }
+      return;
+    }
 
-  /**
-   * Collapse with animated moves (including spawning new pieces from above).
-   * Mutates `board` and schedules move animations.
-   */
-  function collapseAndFillAnimated() {
-    /** @type {(Piece|null)[][]} */
-    const next = Array.from({ length: GRID }, () => Array.from({ length: GRID }, () => null));
+    if (ev.type === "detonate") {
+      if (ev.dir) {
+        // the rocket lifts off and its projectiles sweep the line before the pieces pop
+        const { x, y } = ev.center;
+        sweeps.push({ x, y, dir: ev.dir, color: ev.color, age: 0, life: (ANIM.sweepMs * 1.8) / 1000 / animSpeed });
+        scheduleStyle(ev.id, 1, 0, 1, 1.35, ANIM.sweepMs, easeInOutQuad);
+        playSfx(ev.kind, 1);
+        await waitForStepAnimations();
+        board = Engine.cloneBoard(board);
+        board[ev.origin.y][ev.origin.x] = null;
+        visuals.delete(ev.id);
+        boardShake = Math.max(boardShake, 7);
+        setHint(ev.dir === "h" ? "FŠŠŠT! 🚀 Celý řádek." : "FŠŠŠT! 🚀 Celý sloupec.");
+        return;
+      }
+      boardShake = Math.max(boardShake, ev.kind === PIECE_KIND.BOMB ? 10 : ev.kind === PIECE_KIND.CROSS ? 8 : 7);
+      playSfx(ev.kind, 1);
+      if (ev.kind === PIECE_KIND.ROCKET) setHint("BOOM! 🚀 (+)");
+      else if (ev.kind === PIECE_KIND.CROSS) setHint("ZÁÁÁP! ✚ Celý řádek i sloupec.");
+      else setHint("KABOOM! 💣");
+      return;
+    }
 
-    for (let x = 0; x < GRID; x++) {
-      let writeY = GRID - 1;
+    if (ev.type === "combo") {
+      // the dragged special slides into its partner and melts into it, then both go off
+      const { a, b } = ev;
+      scheduleMove(ev.aId, a.x, a.y, b.x, b.y, ANIM.swapMs, easeInOutQuad);
+      scheduleStyle(ev.aId, 1, 0, 1, 1.3, ANIM.swapMs, easeInOutQuad);
+      scheduleStyle(ev.bId, 1, 1, 1, 1.3, ANIM.swapMs, easeOutBack);
+      playSfx("swap", 0.6);
+      await waitForStepAnimations();
+      board = Engine.cloneBoard(board);
+      board[a.y][a.x] = null;
+      visuals.delete(ev.aId);
+      const fx = COMBO_FX[ev.combo];
+      boardShake = Math.max(boardShake, fx.shake);
+      blasts.push({ combo: ev.combo, x: b.x, y: b.y, age: 0, life: fx.blastMs / 1000 / animSpeed });
+      playSfx(ev.combo, 1);
+      setHint(fx.hint);
+      return;
+    }
 
-      for (let y = GRID - 1; y >= 0; y--) {
-        const p = board[y][x];
-        if (!p) continue;
-        next[writeY][x] = p;
-        if (writeY !== y) {
-          const dist = Math.abs(writeY - y);
-          const ms = ANIM.minFallMs + dist * ANIM.fallPerCellMs;
-          scheduleMove(p.id, x, y, x, writeY, ms, easeOutBack);
-        }
-        writeY--;
+    if (ev.type === "clear") {
+      const explosion = ev.cause === "explosion";
+      for (const c of ev.cells) {
+        // (a combo's merged piece is already gone from the view)
+        if (visuals.has(c.id)) scheduleStyle(c.id, 1, 0, 1, explosion ? 0.25 : 0.35, ANIM.clearMs, easeOutCubic);
+        spawnClearParticles(c.x, c.y, c.color, explosion ? 6 : 4);
+      }
+      spawnScorePopups(ev);
+      if (ev.multiplier >= 2) spawnCascadeCallout(ev.multiplier);
+      for (const c of ev.ice) spawnIceParticles(c.x, c.y, c.left === 0 ? 9 : 5);
+      if (ev.ice.length > 0) playSfx("ice", clamp(ev.ice.length / 8, 0.5, 1));
+      for (const u of ev.unlocked) {
+        spawnClearParticles(u.x, u.y, -1, 6); // no color = white metal sparks
+        scheduleStyle(u.id, 1, 1, 1.18, 1, ANIM.clearMs, easeOutCubic);
+      }
+      if (ev.unlocked.length > 0) playSfx("unlock", clamp(ev.unlocked.length / 4, 0.5, 1));
+      if (!explosion) {
+        // Small shake on bigger clears / combos
+        boardShake = Math.max(boardShake, 1.2 + Math.min(6, ev.cells.length * 0.08) + ev.cascade * 0.5);
+        playSfx("match", clamp(ev.cells.length / 14, 0.6, 1));
       }
 
-      const nNew = writeY + 1;
-      for (let y = writeY; y >= 0; y--) {
-        // Random new piece (allow cascades)
-        const pNew = makePiece(randInt(COLORS.length), PIECE_KIND.NORMAL);
-        next[y][x] = pNew;
+      await waitForStepAnimations();
+      if (gen !== gameGen) return;
 
-        // Start above the board for nicer drop
-        const startY = y - nNew - 0.6 - Math.random() * 1.2;
-        const dist = Math.abs(y - startY);
-        const ms = ANIM.minFallMs + dist * ANIM.fallPerCellMs * 0.55;
-        scheduleMove(pNew.id, x, startY, x, y, ms, easeOutCubic);
-        scheduleStyle(pNew.id, 0, 1, 0.78, 1, ANIM.popMs, easeOutBack);
+      // Apply clear (and cleanup visuals)
+      board = ev.board;
+      for (const c of ev.ice) ice[c.y][c.x] = c.left;
+      for (const c of ev.cells) {
+        visuals.delete(c.id);
+        moveAnims.delete(c.id);
+        styleAnims.delete(c.id);
       }
+      addScore(ev.points);
+      showMultiplier(ev.multiplier);
+      return;
     }
 
-    board = next;
-    syncVisualsToBoard();
-  }
-
-  /**
-   * @typedef {{cells:{x:number,y:number}[], color:number, dir:"h"|"v"}} MatchSegment
-   * @returns {MatchSegment[]}
-   */
-  function findMatchSegments() {
-    /** @type {MatchSegment[]} */
-    const segments = [];
-
-    // Horizontal
-    for (let y = 0; y < GRID; y++) {
-      /** @type {number|null} */
-      let runColor = null;
-      let runStart = 0;
-      for (let x = 0; x <= GRID; x++) {
-        const p = x < GRID ? board[y][x] : null;
-        const c = p ? p.color : null;
-        if (c !== runColor) {
-          if (runColor != null) {
-            const len = x - runStart;
-            if (len >= 3) {
-              /** @type {{x:number,y:number}[]} */
-              const cells = [];
-              for (let xx = runStart; xx < x; xx++) cells.push({ x: xx, y });
-              segments.push({ cells, color: runColor, dir: "h" });
-            }
-          }
-          runColor = c;
-          runStart = x;
-        }
+    if (ev.type === "create") {
+      // Create specials (pop)
+      board = ev.board;
+      for (const cr of ev.pieces) {
+        if (cr.replacedId != null) visuals.delete(cr.replacedId);
+        visuals.set(cr.piece.id, { x: cr.x, y: cr.y, alpha: 0, scale: 0.65 });
+        scheduleStyle(cr.piece.id, 0, 1, 0.65, 1.05, ANIM.popMs, easeOutBack);
       }
+      return;
     }
 
-    // Vertical
-    for (let x = 0; x < GRID; x++) {
-      /** @type {number|null} */
-      let runColor = null;
-      let runStart = 0;
-      for (let y = 0; y <= GRID; y++) {
-        const p = y < GRID ? board[y][x] : null;
-        const c = p ? p.color : null;
-        if (c !== runColor) {
-          if (runColor != null) {
-            const len = y - runStart;
-            if (len >= 3) {
-              /** @type {{x:number,y:number}[]} */
-              const cells = [];
-              for (let yy = runStart; yy < y; yy++) cells.push({ x, y: yy });
-              segments.push({ cells, color: runColor, dir: "v" });
-            }
-          }
-          runColor = c;
-          runStart = y;
-        }
+    if (ev.type === "fall") {
+      // Collapse with animated moves (including spawning new pieces from above)
+      board = ev.board;
+      for (const m of ev.moves) {
+        const ms = ANIM.minFallMs + Math.abs(m.toY - m.fromY) * ANIM.fallPerCellMs;
+        scheduleMove(m.id, m.x, m.fromY, m.x, m.toY, ms, easeOutBack);
       }
+      for (const s of ev.spawns) {
+        // Start above the board for nicer drop
+        const startY = s.y - s.drop - 0.6 - fxRandom() * 1.2;
+        const ms = ANIM.minFallMs + Math.abs(s.y - startY) * ANIM.fallPerCellMs * 0.55;
+        scheduleMove(s.id, s.x, startY, s.x, s.y, ms, easeOutCubic);
+        scheduleStyle(s.id, 0, 1, 0.78, 1, ANIM.popMs, easeOutBack);
+      }
+      syncVisualsToBoard();
+      await waitForStepAnimations();
+      return;
     }
 
-    return segments;
-  }
+    if (ev.type === "levelComplete") {
+      addScore(ev.points);
+      if (ev.movesLeft > 0) setHint(`🎯 Cíle splněny! Bonus +${ev.points} za ${ev.movesLeft} nevyužitých tahů.`);
+      return;
+    }
 
-  /**
-   * @param {MatchSegment[]} segments
-   * @param {{x:number,y:number}[]|null} preferredSwapCells
-   * @returns {Map<string, {x:number,y:number,kind:"rocket"|"bomb",color:number}>}
-   */
-  function computeSpecialCreations(segments, preferredSwapCells) {
-    /** @type {Map<string, {x:number,y:number,kind:"rocket"|"bomb",color:number}>} */
-    const out = new Map();
+    if (ev.type === "timeBonus") {
+      timeBonusFlash = { ms: ev.ms, start: performance.now() };
+      playSfx("ui", 1);
+      return;
+    }
 
-    const prefer = preferredSwapCells ? [preferredSwapCells[1], preferredSwapCells[0]] : [];
+    if (ev.type === "shuffle") {
+      // No valid swap left: every normal piece flies to its new slot
+      setHint("Žádný možný tah — míchám board… 🔀");
+      playSfx("shuffle", 0.9);
+      board = ev.board;
+      for (const m of ev.moves) {
+        scheduleMove(m.id, m.fromX, m.fromY, m.toX, m.toY, ANIM.shuffleMs, easeInOutQuad);
+        scheduleStyle(m.id, 1, 1, 1, 0.7, ANIM.shuffleMs * 0.5, easeOutCubic);
+      }
+      syncVisualsToBoard();
+      await waitForStepAnimations();
+      if (gen !== gameGen) return;
+      for (const m of ev.moves) scheduleStyle(m.id, 1, 1, 0.7, 1, ANIM.popMs, easeOutBack);
+      await waitForStepAnimations();
+      setHint("Zamícháno! Na boardu je zase aspoň jeden tah. 🙂");
+    }
+  }
 
-    for (const seg of segments) {
-      const len = seg.cells.length;
-      if (len < 4) continue;
+  /**
+   * Swap two adjacent cells. If no match is created, the engine reverts the swap.
+   * @param {{x:number,y:number}} origin
+   * @param {{x:number,y:number}} target
+   */
+  async function attemptSwap(origin, target) {
+    if (isBusy) return;
+    if (Engine.isLocked(game.board[target.y]?.[target.x])) {
+      rejectLocked();
+      return;
+    }
+    const snapshot = Engine.serializeGame(game);
+    const res = Engine.swap(game, origin, target);
+    if (res.events.length === 0) return;
+    if (res.ok) {
+      pushUndo(snapshot);
+      recordAction({ type: "swap", a: { x: origin.x, y: origin.y }, b: { x: target.x, y: target.y } });
+      recordStats(res.events);
+      renderMoves();
+    }
 
-      const kind = len >= 5 ? PIECE_KIND.BOMB : PIECE_KIND.ROCKET;
+    isBusy = true;
+    const gen = gameGen;
+    await playEvents(res.events);
+    // a new game started mid-animation: everything below belongs to the old one
+    if (gen !== gameGen) return;
+    isBusy = false;
+    noteInput();
+    announceMove(res.events);
+    if (res.ok) {
+      checkAchievements(res.events);
+      recordBest();
+      recordDaily();
+      saveCurrentGame();
+      checkGameOver();
+    }
+  }
 
-      /** @type {{x:number,y:number}|null} */
-      let target = null;
+  async function detonateSpecial() {
+    if (isBusy) return;
+    if (!specialOrigin) return;
+    const snapshot = Engine.serializeGame(game);
+    const origin = { x: specialOrigin.x, y: specialOrigin.y };
+    const target = specialTarget ? { x: specialTarget.x, y: specialTarget.y } : null;
+    const res = Engine.detonate(game, origin, target);
+    if (!res.ok) return;
+    pushUndo(snapshot);
+    recordAction({ type: "detonate", origin, target });
+    recordStats(res.events);
+    renderMoves();
 
-      // Prefer swapped cell(s) if they are inside the segment (and ideally not already a special)
-      for (const pc of prefer) {
-        if (!pc) continue;
-        if (!seg.cells.some((c) => c.x === pc.x && c.y === pc.y)) continue;
-        const p = board[pc.y]?.[pc.x];
-        if (p && p.kind === PIECE_KIND.NORMAL) {
-          target = pc;
-          break;
-        }
-      }
-      if (!target) {
-        for (const pc of prefer) {
-          if (!pc) continue;
-          if (seg.cells.some((c) => c.x === pc.x && c.y === pc.y)) {
-            target = pc;
-            break;
-          }
-        }
-      }
+    isBusy = true;
+    const gen = gameGen;
+    await playEvents(res.events);
+    if (gen !== gameGen) return;
+    isBusy = false;
+    noteInput();
+    announceMove(res.events);
+    checkAchievements(res.events);
+    recordBest();
+    recordDaily();
+    saveCurrentGame();
+    checkGameOver();
+  }
 
-      // Otherwise pick a normal piece near the middle
-      if (!target) {
-        const mid = Math.floor(len / 2);
-        target = seg.cells[mid] ?? seg.cells[0];
-        for (let i = 0; i < len; i++) {
-          const idx = (mid + i) % len;
-          const c = seg.cells[idx];
-          const p = board[c.y]?.[c.x];
-          if (p && p.kind === PIECE_KIND.NORMAL) {
-            target = c;
-            break;
-          }
-        }
+  function renderMoves() {
+    const left = Engine.movesLeft(game);
+    elMovesBox.hidden = left == null;
+    if (left == null) return;
+    elMovesLeft.textContent = String(left);
+    const targets = game.mode.targets;
+    elMovesTarget.textContent = targets ? `cíl ${targets[0]} · ★★★ ${targets[targets.length - 1]}` : "";
+  }
+
+  /** Campaign level objectives with live progress (hidden outside the campaign). */
+  function renderGoals() {
+    const status = Engine.objectiveStatus(game);
+    elGoalsBox.hidden = status.length === 0;
+    if (status.length === 0) return;
+    elGoalsTitle.textContent = game.mode.level != null ? `Level ${game.mode.level}` : "Cíle";
+    elGoalsList.innerHTML = "";
+    for (const st of status) {
+      const o = st.objective;
+      const li = document.createElement("li");
+      li.className = st.done ? "goalsBox__item goalsBox__item--done" : "goalsBox__item";
+      let label = "⭐ skóre";
+      if (o.type === "clear") {
+        const sw = document.createElement("span");
+        sw.className = "goalsBox__swatch";
+        sw.style.background = colorOf(o.color)?.base ?? "#fff";
+        li.appendChild(sw);
+        label = colorOf(o.color)?.name ?? "?";
+        if (persisted.colorSymbols) label = `${COLOR_SYMBOLS[o.color] ?? ""} ${label}`;
+      } else if (o.type === "create") {
+        label = SPECIAL_ICON[o.kind];
+      } else if (o.type === "ice") {
+        label = "🧊 led";
+      } else if (o.type === "unlock") {
+        label = "🔒 zámky";
       }
+      li.appendChild(document.createTextNode(`${label} ${st.current}/${st.target}${st.done ? " ✓" : ""}`));
+      elGoalsList.appendChild(li);
+    }
+  }
 
-      if (!target) continue;
+  /** Key into `bestScores`: per mode, per level in the campaign, per board for custom setups (daily: one key). */
+  function bestKey() {
+    if (game.mode.level != null) return `level:${game.mode.level}`;
+    if (game.mode.day != null || isDefaultSetup(game)) return game.mode.id;
+    return `${game.mode.id}:${game.width}x${game.height}:${game.colors}`;
+  }
 
-      const k = cellKey(target.x, target.y);
-      const existing = out.get(k);
-      if (!existing) {
-        out.set(k, { x: target.x, y: target.y, kind, color: seg.color });
-      } else if (existing.kind === PIECE_KIND.ROCKET && kind === PIECE_KIND.BOMB) {
-        out.set(k, { x: target.x, y: target.y, kind, color: seg.color });
-      }
+  /** Keep the per-mode best score (not during replays); celebrate the first time this game breaks it. */
+  function recordBest() {
+    if (replay) return;
+    const id = bestKey();
+    const st = modeStats();
+    if (game.score > (persisted.bestScores[id] ?? 0) || game.score > st.best) {
+      persisted.bestScores[id] = Math.max(persisted.bestScores[id] ?? 0, game.score);
+      st.best = Math.max(st.best, game.score);
+      savePersistedState(persisted);
+      renderStats();
     }
+    if (!newRecord && game.score > bestAtStart) {
+      newRecord = true;
+      // a first game has nothing to beat yet
+      if (bestAtStart > 0) celebrateRecord();
+    }
+    renderBest();
+  }
 
-    return out;
+  function celebrateRecord() {
+    spawnCallout("Nový rekord! 🏆", "#ffd166", 0.9);
+    for (let i = 0; i < 5; i++) {
+      spawnClearParticles(fxRandom() * (game.width - 1), fxRandom() * (game.height - 1), i % COLORS.length, 8);
+    }
+    playSfx("win", 0.7);
+    setHint(`🏆 Nový rekord: ${game.score}! (předchozí ${bestAtStart})`);
+    elBestScore.classList.remove("bump");
+    void elBestScore.offsetWidth;
+    elBestScore.classList.add("bump");
+  }
+
+  /** @returns {ModeStats} lifetime stats of the current game's mode */
+  function modeStats() {
+    if (!persisted.stats[game.mode.id]) persisted.stats[game.mode.id] = emptyStats();
+    return persisted.stats[game.mode.id];
   }
 
   /**
-   * Chain-reaction: if a special piece is cleared, it also explodes.
-   * @param {Set<string>} clearKeys
-   * @param {Set<string>} protectedKeys
+   * Count a played move into the lifetime stats (player moves only – not replays).
+   * @param {import("./engine.js").GameEvent[]} events
    */
-  function expandWithSpecialExplosions(clearKeys, protectedKeys) {
-    let changed = true;
-    while (changed) {
-      changed = false;
-      for (const k of Array.from(clearKeys)) {
-        if (protectedKeys.has(k)) continue;
-        const [xs, ys] = k.split(",");
-        const x = Number(xs);
-        const y = Number(ys);
-        if (!isInBounds(x, y)) continue;
-        const p = board[y]?.[x];
-        if (!p) continue;
-        if (p.kind !== PIECE_KIND.ROCKET && p.kind !== PIECE_KIND.BOMB) continue;
-
-        const area = p.kind === PIECE_KIND.ROCKET ? rocketArea({ x, y }) : bombArea({ x, y });
-        for (const c of area) {
-          if (!isInBounds(c.x, c.y)) continue;
-          const kk = cellKey(c.x, c.y);
-          if (protectedKeys.has(kk)) continue;
-          if (!clearKeys.has(kk)) {
-            clearKeys.add(kk);
-            changed = true;
-          }
+  function recordStats(events) {
+    if (replay) return;
+    const st = modeStats();
+    if (!gameCounted) {
+      gameCounted = true;
+      st.games++;
+    }
+    st.moves++;
+    /** @type {Set<number>} the two specials of a combo, found in the clear that follows */
+    let comboIds = new Set();
+    for (const ev of events) {
+      if (ev.type === "detonate") {
+        // fired by the player, by a match or by another special's blast
+        st.detonated[ev.kind]++;
+      } else if (ev.type === "combo") {
+        comboIds = new Set([ev.aId, ev.bId]);
+      } else if (ev.type === "clear") {
+        st.cleared += ev.cells.length;
+        st.points += ev.points;
+        st.longestCascade = Math.max(st.longestCascade, ev.cascade);
+        for (const c of ev.cells) {
+          if (!comboIds.has(c.id)) continue;
+          if (c.kind === "rocket" || c.kind === "bomb" || c.kind === "cross") st.detonated[c.kind]++;
         }
+        comboIds = new Set();
+      } else if (ev.type === "create") {
+        for (const cr of ev.pieces) {
+          const kind = cr.piece.kind;
+          if (kind === "rocket" || kind === "bomb" || kind === "cross") st.created[kind]++;
+        }
+      } else if (ev.type === "levelComplete") {
+        st.points += ev.points;
       }
     }
+    savePersistedState(persisted);
+    renderStats();
+  }
+
+  function renderStats() {
+    const st = persisted.stats[selStatsMode.value] ?? emptyStats();
+    /** @param {ModeStats["created"]} n */
+    const specials = (n) =>
+      `${SPECIAL_ICON.rocket} ${n.rocket} · ${SPECIAL_ICON.cross} ${n.cross} · ${SPECIAL_ICON.bomb} ${n.bomb}`;
+    const avg = st.moves > 0 ? (st.points / st.moves).toFixed(1).replace(".", ",") : "–";
+    /** @type {[string, string][]} */
+    const rows = [
+      ["Rekord", String(st.best)],
+      ["Odehrané hry", String(st.games)],
+      ["Zničené dílky", String(st.cleared)],
+      ["Vytvořeno", specials(st.created)],
+      ["Odpáleno", specials(st.detonated)],
+      ["Nejdelší kaskáda", st.longestCascade > 0 ? `${st.longestCascade}×` : "–"],
+      ["Bodů na tah", avg],
+    ];
+    elStatsList.innerHTML = "";
+    for (const [label, value] of rows) {
+      const dt = document.createElement("dt");
+      dt.textContent = label;
+      const dd = document.createElement("dd");
+      dd.textContent = value;
+      elStatsList.appendChild(dt);
+      elStatsList.appendChild(dd);
+    }
+  }
+
+  function renderBest() {
+    elBestScore.textContent = `rekord ${persisted.bestScores[bestKey()] ?? 0}`;
+  }
+
+  /** Remember the stars of a finished campaign level (best result counts). */
+  function recordLevelResult() {
+    if (replay || game.mode.level == null) return;
+    const stars = Engine.starsFor(game);
+    if (stars > (persisted.levelStars[game.mode.level] ?? 0)) {
+      persisted.levelStars[game.mode.level] = stars;
+      savePersistedState(persisted);
+    }
+    if (stars === 3) unlockAchievement("threeStars");
+  }
+
+  /** Keep the daily attempt in the history (not during replays); it counts from its very start. */
+  function recordDaily() {
+    const day = game.mode.day;
+    if (replay || day == null) return;
+    const prev = persisted.daily[day];
+    // buying a skin resets the score – the attempt keeps what it reached
+    persisted.daily[day] = {
+      score: Math.max(prev?.score ?? 0, game.score),
+      stars: Math.max(prev?.stars ?? 0, Engine.starsFor(game)),
+      moves: game.moves,
+      done: Engine.isGameOver(game),
+    };
+    const days = Object.keys(persisted.daily).sort();
+    for (const old of days.slice(0, Math.max(0, days.length - DAILY_HISTORY_DAYS))) delete persisted.daily[old];
+    savePersistedState(persisted);
+  }
+
+  /** Local calendar day as "YYYY-MM-DD" – the daily challenge changes at midnight. */
+  function todayKey() {
+    const d = new Date();
+    const pad = (n) => String(n).padStart(2, "0");
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
   }
 
   /**
-   * Resolve all matches on the board (cascades) and create specials for 4/5+.
-   * Animated: clear (fade/scale) + falling.
-   * @param {{x:number,y:number}[]|null} preferredSwapCells
+   * @param {string} day "YYYY-MM-DD"
+   * @param {number} delta days
    */
-  async function resolveMatchesAnimated(preferredSwapCells = null) {
-    let cascade = 0;
+  function shiftDay(day, delta) {
+    const d = new Date(`${day}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() + delta);
+    return d.toISOString().slice(0, 10);
+  }
 
-    while (true) {
-      const segments = findMatchSegments();
-      if (segments.length === 0) break;
+  /** @param {string} day "YYYY-MM-DD" -> "19. 10. 2026" */
+  function formatDay(day) {
+    const [y, m, d] = day.split("-").map(Number);
+    return `${d}. ${m}. ${y}`;
+  }
 
-      cascade++;
-      const creations = computeSpecialCreations(segments, preferredSwapCells);
-      const protectedKeys = new Set(creations.keys());
+  /** @param {number} n */
+  function daysLabel(n) {
+    if (n === 1) return "1 den";
+    return `${n} ${n >= 2 && n <= 4 ? "dny" : "dní"}`;
+  }
 
-      /** @type {Set<string>} */
-      const clearKeys = new Set();
-      for (const seg of segments) {
-        for (const c of seg.cells) {
-          const k = cellKey(c.x, c.y);
-          if (!protectedKeys.has(k)) clearKeys.add(k);
-        }
-      }
+  /**
+   * Days in a row with a daily attempt. The current streak survives until today's challenge is missed.
+   * @returns {{current:number, best:number}}
+   */
+  function dailyStreak() {
+    const today = todayKey();
+    let current = 0;
+    for (let d = persisted.daily[today] ? today : shiftDay(today, -1); persisted.daily[d]; d = shiftDay(d, -1)) {
+      current++;
+    }
+    let best = 0;
+    let run = 0;
+    /** @type {string|null} */
+    let prev = null;
+    for (const d of Object.keys(persisted.daily).sort()) {
+      run = prev != null && shiftDay(prev, 1) === d ? run + 1 : 1;
+      best = Math.max(best, run);
+      prev = d;
+    }
+    return { current, best };
+  }
 
-      expandWithSpecialExplosions(clearKeys, protectedKeys);
+  function openDaily() {
+    const today = todayKey();
+    const ch = Engine.dailyChallenge(today);
+    if (!ch) return;
+    const rules = DAILY_RULES[ch.rules] ?? DAILY_RULES.classic;
+    const targets = ch.mode.targets ?? [];
+    elDailyInfo.textContent =
+      `${formatDay(today)}: ${ch.width}×${ch.height}, ${colorsLabel(ch.colors)}, ${ch.mode.moveLimit} tahů. ` +
+      `Pravidla dne – ${rules.name}: ${rules.desc} Hvězdy za ${targets.join(" / ")} bodů.`;
+    const streak = dailyStreak();
+    elDailyStreak.textContent = `🔥 Série ${daysLabel(streak.current)} · nejdelší ${daysLabel(streak.best)}`;
+
+    elDailyHistory.innerHTML = "";
+    const days = Object.keys(persisted.daily).sort().reverse().slice(0, 7);
+    for (const day of days) {
+      const r = persisted.daily[day];
+      const li = document.createElement("li");
+      li.className = day === today ? "daily__day daily__day--today" : "daily__day";
+      const date = document.createElement("span");
+      date.textContent = formatDay(day);
+      const result = document.createElement("span");
+      result.textContent = `${r.score} b. ${"★".repeat(r.stars)}${"☆".repeat(3 - r.stars)}${r.done ? "" : " ⏸"}`;
+      result.title = r.done ? `${r.moves} tahů` : "Nedohráno";
+      li.append(date, result);
+      elDailyHistory.appendChild(li);
+    }
+    if (days.length === 0) {
+      const li = document.createElement("li");
+      li.className = "daily__day";
+      li.textContent = "Zatím žádná odehraná výzva.";
+      elDailyHistory.appendChild(li);
+    }
 
-      /** @type {{x:number,y:number,id:number,color:number}[]} */
-      const willClear = [];
-      for (const k of clearKeys) {
-        const [xs, ys] = k.split(",");
-        const x = Number(xs);
-        const y = Number(ys);
-        if (!isInBounds(x, y)) continue;
-        const p = board[y]?.[x];
-        if (!p) continue;
-        willClear.push({ x, y, id: p.id, color: p.color });
-      }
+    const playing = !replay && game.mode.day === today && !Engine.isGameOver(game);
+    const used = !!persisted.daily[today];
+    btnDailyStart.disabled = used && !playing;
+    btnDailyStart.textContent = playing ? "Pokračovat" : used ? "Dnes odehráno ✓" : "Hrát (1 pokus)";
+    elDailyScreen.hidden = false;
+  }
 
-      if (willClear.length === 0) {
-        preferredSwapCells = null;
-        break;
-      }
+  /** Today's challenge: one attempt, so it can only be started once (and continued while it lasts). */
+  function startDaily() {
+    const today = todayKey();
+    if (!replay && game.mode.day === today && !Engine.isGameOver(game)) {
+      elDailyScreen.hidden = true;
+      return;
+    }
+    const ch = Engine.dailyChallenge(today);
+    if (!ch || persisted.daily[today]) return;
+    if (replay) stopReplay(false);
+    const { width, height, colors, seed, mode } = ch;
+    startGame(Engine.createGame({ width, height, colors, seed, mode }));
+    recordDaily();
+    saveCurrentGame();
+    const rules = DAILY_RULES[ch.rules] ?? DAILY_RULES.classic;
+    setHint(`📅 Denní výzva – ${rules.name}: ${rules.desc} Jen jeden pokus, tahy nejde vracet.`);
+  }
 
-      // Animate clear
-      for (const c of willClear) {
-        scheduleStyle(c.id, 1, 0, 1, 0.35, ANIM.clearMs, easeOutCubic);
-        spawnClearParticles(c.x, c.y, c.color, 4);
-      }
+  /** @returns {boolean} the player may leave the current game (an unfinished daily gives up today's attempt) */
+  function confirmLeaveDaily() {
+    if (replay || game.mode.day == null || Engine.isGameOver(game)) return true;
+    return confirm("Opustit denní výzvu? Máš na ni jen jeden pokus – dnes už ji znovu nezahraješ.");
+  }
 
-      // Small shake on bigger clears / combos
-      boardShake = Math.max(boardShake, 1.2 + Math.min(6, willClear.length * 0.08) + cascade * 0.5);
-      playSfx("match", clamp(willClear.length / 14, 0.6, 1));
+  /**
+   * The daily's own seeds can't be typed in or linked – they would hand out another try at its board.
+   * @param {string|null} seed
+   */
+  function isDailySeed(seed) {
+    return seed != null && seed.startsWith("daily-");
+  }
 
-      await waitForStepAnimations();
+  /**
+   * @param {string|null} seed typed into the seed field
+   * @returns {boolean} it was a daily's seed (and the player was told so)
+   */
+  function refuseDailySeed(seed) {
+    if (!isDailySeed(seed)) return false;
+    setHint("Seed denní výzvy si zadat nejde – výzvu otevřeš tlačítkem Denní výzva.");
+    return true;
+  }
 
-      // Apply clear (and cleanup visuals)
-      for (const c of willClear) {
-        if (isInBounds(c.x, c.y)) board[c.y][c.x] = null;
-        visuals.delete(c.id);
-        moveAnims.delete(c.id);
-        styleAnims.delete(c.id);
+  /**
+   * Unlock what a finished player move earned (replays don't count).
+   * @param {import("./engine.js").GameEvent[]} events
+   */
+  function checkAchievements(events) {
+    if (replay) return;
+    let cleared = 0;
+    let cascade = 0;
+    /** @type {Set<number>} ids of the bombs that went off */
+    const bombs = new Set();
+    for (const ev of events) {
+      if (ev.type === "create") {
+        for (const cr of ev.pieces) {
+          if (cr.piece.kind === PIECE_KIND.ROCKET) unlockAchievement("firstRocket");
+          else if (cr.piece.kind === PIECE_KIND.CROSS) unlockAchievement("firstCross");
+          else if (cr.piece.kind === PIECE_KIND.BOMB) unlockAchievement("firstBomb");
+        }
+      } else if (ev.type === "combo") {
+        unlockAchievement("combo");
+      } else if (ev.type === "detonate") {
+        // a special that only went off because a bomb's blast caught it
+        if (ev.by != null && bombs.has(ev.by)) unlockAchievement("chainBomb");
+        if (ev.kind === PIECE_KIND.BOMB) bombs.add(ev.id);
+      } else if (ev.type === "clear") {
+        cleared += ev.cells.length;
+        cascade = Math.max(cascade, ev.cascade);
       }
-      addScore(willClear.length);
+    }
+    if (cascade >= 5) unlockAchievement("cascade5");
+    if (cleared >= 40) unlockAchievement("clear40");
+  }
 
-      // Create specials (pop)
-      for (const cr of creations.values()) {
-        if (!isInBounds(cr.x, cr.y)) continue;
-        const prev = board[cr.y][cr.x];
-        if (prev) visuals.delete(prev.id);
-        const np = makePiece(cr.color, cr.kind);
-        board[cr.y][cr.x] = np;
-        visuals.set(np.id, { x: cr.x, y: cr.y, alpha: 0, scale: 0.65 });
-        scheduleStyle(np.id, 0, 1, 0.65, 1.05, ANIM.popMs, easeOutBack);
+  /** @param {string} id */
+  function unlockAchievement(id) {
+    const a = ACHIEVEMENTS.find((x) => x.id === id);
+    if (!a || persisted.achievements[id]) return;
+    persisted.achievements[id] = Date.now();
+    const skin = a.skin ? SKINS.find((s) => s.id === a.skin) : null;
+    if (skin && !persisted.ownedSkins.includes(skin.id)) persisted.ownedSkins.push(skin.id);
+    savePersistedState(persisted);
+    playSfx("unlock", 1);
+    showToast(a.icon, "Úspěch odemčen", skin ? `${a.name} · skin ${skin.emoji} ${skin.name}` : a.name);
+    if (skin) {
+      renderSkins();
+      checkSkinCollection();
+    }
+    if (!elAchievementsScreen.hidden) openAchievements();
+  }
+
+  function checkSkinCollection() {
+    if (SKINS.every((s) => persisted.ownedSkins.includes(s.id))) unlockAchievement("allSkins");
+  }
+
+  /**
+   * Small card in the corner that fades away by itself.
+   * @param {string} icon
+   * @param {string} title
+   * @param {string} text
+   */
+  function showToast(icon, title, text) {
+    const toast = document.createElement("div");
+    toast.className = "toast";
+    const ic = document.createElement("div");
+    ic.className = "toast__icon";
+    ic.textContent = icon;
+    const t = document.createElement("div");
+    t.className = "toast__title";
+    t.textContent = title;
+    const body = document.createElement("div");
+    body.className = "toast__text";
+    body.textContent = text;
+    toast.append(ic, t, body);
+    elToasts.appendChild(toast);
+    setTimeout(() => toast.classList.add("toast--out"), TOAST_MS);
+    setTimeout(() => toast.remove(), TOAST_MS + 320);
+  }
+
+  function openAchievements() {
+    elAchievementsGrid.innerHTML = "";
+    for (const a of ACHIEVEMENTS) {
+      const unlocked = !!persisted.achievements[a.id];
+      const li = document.createElement("li");
+      li.className = unlocked ? "achievement" : "achievement achievement--locked";
+      const icon = document.createElement("span");
+      icon.className = "achievement__icon";
+      icon.textContent = unlocked ? a.icon : "🔒";
+      const name = document.createElement("span");
+      name.className = "achievement__name";
+      name.textContent = a.name;
+      const desc = document.createElement("span");
+      desc.className = "achievement__desc";
+      desc.textContent = a.desc;
+      li.append(icon, name, desc);
+      const skin = a.skin ? SKINS.find((s) => s.id === a.skin) : null;
+      if (skin) {
+        const reward = document.createElement("span");
+        reward.className = "achievement__reward";
+        reward.textContent = `🎁 skin ${skin.emoji} ${skin.name}`;
+        li.appendChild(reward);
       }
+      elAchievementsGrid.appendChild(li);
+    }
+    const done = ACHIEVEMENTS.filter((a) => persisted.achievements[a.id]).length;
+    elAchievementsSummary.textContent = `Odemčeno: ${done} / ${ACHIEVEMENTS.length}`;
+    elAchievementsScreen.hidden = false;
+  }
 
-      collapseAndFillAnimated();
-      await waitForStepAnimations();
+  /** @returns {import("./engine.js").Level|null} campaign level after the one being played */
+  function nextLevel() {
+    const i = campaign.findIndex((l) => l.id === game.mode.level);
+    return i >= 0 ? campaign[i + 1] ?? null : null;
+  }
 
-      preferredSwapCells = null; // only prefer on the first resolve pass
+  function rejectLocked() {
+    playSfx("bad", 0.6);
+    boardShake = Math.max(boardShake, 2.5);
+    setHint("🔒 Zamčený dílek nejde prohodit – uvolni ho řadou nebo výbuchem.");
+  }
+
+  /** Runs only once the move (incl. all cascades) has finished animating. */
+  function checkGameOver() {
+    if (!Engine.isGameOver(game) || !elEndScreen.hidden) return;
+    const stars = Engine.starsFor(game);
+    const targets = game.mode.targets ?? [];
+    const timed = game.mode.timeLimitMs != null;
+    const record = !replay && (newRecord || game.score > bestAtStart);
+    const level = game.mode.level != null;
+    const daily = game.mode.day != null;
+    const cleared = level && Engine.isLevelComplete(game);
+    recordLevelResult();
+    recordDaily();
+    btnEndNext.hidden = !cleared || replay != null || !nextLevel();
+    // the daily challenge can't be replayed – the button starts an ordinary game
+    btnEndRestart.textContent = daily ? "Nová hra" : "Hrát znovu";
+
+    if (level) {
+      elEndTitle.textContent = cleared ? "Level splněn! 🎉" : "Level nesplněn";
+    } else if (daily) {
+      elEndTitle.textContent = stars > 0 ? "Denní výzva zvládnuta! 🎉" : "Denní výzva skončila";
+    } else if (targets.length > 0) {
+      elEndTitle.textContent = stars > 0 ? "Hotovo! 🎉" : game.stuck ? "Žádný tah" : "Došly tahy";
+    } else {
+      elEndTitle.textContent = game.stuck ? "Žádný tah" : timed ? "Čas vypršel! ⏱" : "Konec hry";
+    }
+    elEndStars.textContent = "★".repeat(stars) + "☆".repeat(Math.max(0, targets.length - stars));
+    elEndStars.hidden = targets.length === 0;
+
+    const next = targets.find((t) => game.score < t);
+    let text = timed ? `Skóre ${game.score} (${game.moves} tahů).` : `Skóre ${game.score} za ${game.moves} tahů.`;
+    if (game.stuck) text += " Na desce nezbyl žádný tah a dílky už nejde zamíchat.";
+    if (level && !cleared) text += " Cíle se nepodařilo splnit.";
+    else if (targets.length > 0) text += next != null ? ` Další hvězda od ${next}.` : " Všechny hvězdy!";
+    text += record ? " Nový rekord! 🏆" : ` Rekord: ${persisted.bestScores[bestKey()] ?? 0}.`;
+    if (daily && !replay) text += ` Série: ${daysLabel(dailyStreak().current)}. Další výzva zítra.`;
+    elEndText.textContent = text;
+    elEndScreen.hidden = false;
+    announce(`${elEndTitle.textContent} ${text}`);
+    renderUndo();
+
+    const good = stars > 0 || record || (targets.length === 0 && game.score > 0);
+    playSfx(good ? "win" : "bad", 0.9);
+    if (level) {
+      setHint(cleared ? `Level splněn – ${stars}★!` : `${game.stuck ? "Žádný tah" : "Došly tahy"}. Zkus level znovu!`);
+    } else if (daily) {
+      setHint(stars > 0 ? `Denní výzva – ${stars}★! Zítra čeká další.` : "Denní výzva skončila. Zítra zkus další!");
+    } else if (targets.length > 0) {
+      setHint(stars > 0 ? `Konec hry – ${stars}★!` : "Konec hry – tentokrát bez hvězdy. Zkus to znovu!");
+    } else {
+      setHint(record ? "Konec hry – nový rekord! 🏆" : "Konec hry. Zkus to znovu!");
     }
   }
 
   /**
-   * Swap two adjacent cells. If no match is created, revert the swap.
-   * @param {{x:number,y:number}} origin
-   * @param {{x:number,y:number}} target
+   * Drain the blitz clock (called from tick). When it hits zero, input locks immediately;
+   * a move that is still animating finishes (its points already count) before the end screen.
+   * The clock stands still while a dialog covers the board.
+   * @param {number} dtSeconds
    */
-  async function attemptSwap(origin, target) {
-    if (isBusy) return;
-    if (!isInBounds(origin.x, origin.y) || !isInBounds(target.x, target.y)) return;
-    if (manhattan(origin, target) !== 1) return;
+  function updateClock(dtSeconds) {
+    if (game.timeLeftMs == null || replay || !clockRunning || Engine.isGameOver(game)) return;
+    if (overlayOpen()) return;
+    Engine.tickTime(game, dtSeconds * 1000);
+    if (!Engine.isGameOver(game)) return;
+
+    clockRunning = false;
+    if (pointerIsDown) {
+      pointerIsDown = false;
+      pointerId = null;
+      clearSelection();
+    }
+    setHint("⏱ Čas vypršel!");
+    saveCurrentGame();
+  }
+
+  /**
+   * @param {Omit<import("./engine.js").SwapAction, "t">
+   *   | Omit<import("./engine.js").DetonateAction, "t">
+   *   | Omit<import("./engine.js").ScoreResetAction, "t">} action
+   */
+  function recordAction(action) {
+    const t = Math.max(0, Math.round(performance.now() - recordStart));
+    recording.actions.push(/** @type {import("./engine.js").Action} */ ({ t, ...action }));
+  }
+
+  /**
+   * Call before the move's stats and achievements are recorded.
+   * @param {ReturnType<typeof Engine.serializeGame>} snapshot the game before the move
+   */
+  function pushUndo(snapshot) {
+    undoStack.push({
+      game: snapshot,
+      stats: normalizeStats({ [game.mode.id]: modeStats() })[game.mode.id],
+      achievements: Object.keys(persisted.achievements),
+      skins: persisted.ownedSkins.slice(),
+    });
+    while (undoStack.length > UNDO_PER_GAME) undoStack.shift();
+    renderUndo();
+  }
 
-    const a = board[origin.y][origin.x];
-    const b = board[target.y][target.x];
-    if (!a || !b) return;
+  function renderUndo() {
+    elUndoLeft.textContent = String(undosLeft);
+    btnUndo.disabled = !!replay || Engine.isGameOver(game) || undosLeft <= 0 || undoStack.length === 0;
+  }
+
+  /** Restore the exact board before the last move (no re-simulation) and animate it back. */
+  async function undoMove() {
+    if (isBusy || replay || Engine.isGameOver(game) || undosLeft <= 0) return;
+    const entry = undoStack.pop();
+    const prev = entry ? Engine.restoreGame(entry.game) : null;
+    if (!entry || !prev) {
+      renderUndo();
+      return;
+    }
 
+    undosLeft--;
+    // Undo never refunds blitz time.
+    if (prev.timeLeftMs != null && game.timeLeftMs != null) {
+      prev.timeLeftMs = Math.min(prev.timeLeftMs, game.timeLeftMs);
+    }
+    // The snapshot also restored the PRNG, so dropping the action keeps the log replayable.
+    recording.actions.pop();
     isBusy = true;
+    clearSelection();
+    noteInput();
+    const gen = gameGen;
+    game = prev;
+    rollBackRecords(entry);
+    playSfx("undo", 0.9);
+    setHint(`↶ Tah vrácen. Zbývá ${undosLeft}× zpět.`);
+
+    /** @type {Map<number, {x:number,y:number}>} */
+    const prevPos = new Map();
+    for (let y = 0; y < game.height; y++) {
+      for (let x = 0; x < game.width; x++) {
+        const p = prev.board[y][x];
+        if (p) prevPos.set(p.id, { x, y });
+      }
+    }
 
-    swapCells(origin, target);
-    // Animate swap
-    scheduleMove(a.id, origin.x, origin.y, target.x, target.y, ANIM.swapMs, easeInOutQuad);
-    scheduleMove(b.id, target.x, target.y, origin.x, origin.y, ANIM.swapMs, easeInOutQuad);
-    syncVisualsToBoard();
-    playSfx("swap", 0.6);
+    // 1) pieces the move spawned shrink away
+    for (let y = 0; y < game.height; y++) {
+      for (let x = 0; x < game.width; x++) {
+        const p = board[y][x];
+        if (p && !prevPos.has(p.id)) scheduleStyle(p.id, 1, 0, 1, 0.35, ANIM.clearMs, easeOutCubic);
+      }
+    }
     await waitForStepAnimations();
+    if (gen !== gameGen) return;
 
-    const segments = findMatchSegments();
-    if (segments.length === 0) {
-      swapCells(origin, target);
-      // Animate swap back
-      scheduleMove(a.id, target.x, target.y, origin.x, origin.y, ANIM.swapMs, easeInOutQuad);
-      scheduleMove(b.id, origin.x, origin.y, target.x, target.y, ANIM.swapMs, easeInOutQuad);
-      syncVisualsToBoard();
-      playSfx("bad", 0.85);
-      setHint("Nic nespojilo — tah se vrací 🙂");
-      await waitForStepAnimations();
-      isBusy = false;
-      return;
+    // 2) survivors fly back, cleared pieces pop back in
+    /** @type {Map<number, {x:number,y:number}>} */
+    const curPos = new Map();
+    for (let y = 0; y < game.height; y++) {
+      for (let x = 0; x < game.width; x++) {
+        const p = board[y][x];
+        if (p) curPos.set(p.id, { x, y });
+      }
     }
+    visuals.clear();
+    board = Engine.cloneBoard(prev.board);
+    ice = prev.ice.map((row) => row.slice());
+    for (const [id, to] of prevPos) {
+      const from = curPos.get(id);
+      if (from) {
+        scheduleMove(id, from.x, from.y, to.x, to.y, ANIM.undoMs, easeInOutQuad);
+      } else {
+        visuals.set(id, { x: to.x, y: to.y, alpha: 0, scale: 0.4 });
+        scheduleStyle(id, 0, 1, 0.4, 1, ANIM.undoMs, easeOutBack);
+      }
+    }
+    setScore(prev.score);
+    renderMoves();
+    renderGoals();
+    syncVisualsToBoard();
+    await waitForStepAnimations();
+    if (gen !== gameGen) return;
 
-    setHint("Good! 🙂");
-    await resolveMatchesAnimated([origin, target]);
     isBusy = false;
+    renderUndo();
+    renderBoardGrid();
+    announce(`Tah vrácen. Skóre ${game.score}.`);
+    saveCurrentGame();
   }
 
-  /** @param {{x:number,y:number}} center */
-  function rocketArea(center) {
-    const out = [];
-    out.push({ x: center.x, y: center.y });
-    out.push({ x: center.x + 1, y: center.y });
-    out.push({ x: center.x - 1, y: center.y });
-    out.push({ x: center.x, y: center.y + 1 });
-    out.push({ x: center.x, y: center.y - 1 });
-    return out;
-  }
-
-  /** @param {{x:number,y:number}} center */
-  function bombArea(center) {
-    const out = [];
-    const r = 2;
-    for (let dy = -r; dy <= r; dy++) {
-      for (let dx = -r; dx <= r; dx++) {
-        if (dx * dx + dy * dy <= r * r) out.push({ x: center.x + dx, y: center.y + dy });
-      }
+  /**
+   * Take back what an undone move added to the lifetime stats and achievements (with the skins they gave).
+   * @param {UndoEntry} entry
+   */
+  function rollBackRecords(entry) {
+    // the record stays, like the best score of the mode
+    persisted.stats[game.mode.id] = { ...entry.stats, best: modeStats().best };
+    gameCounted = game.moves > 0;
+    for (const id of Object.keys(persisted.achievements)) {
+      if (!entry.achievements.includes(id)) delete persisted.achievements[id];
     }
-    return out;
+    persisted.ownedSkins = persisted.ownedSkins.filter((id) => entry.skins.includes(id));
+    if (!persisted.ownedSkins.includes(persisted.activeSkin)) persisted.activeSkin = "mouse";
+    savePersistedState(persisted);
+    renderStats();
+    renderSkins();
+    renderRunner(0);
   }
 
-  function detonateSpecial() {
-    if (isBusy) return;
-    if (!specialOrigin) return;
-    const p = board[specialOrigin.y]?.[specialOrigin.x];
-    if (!p) return;
-    if (p.kind !== PIECE_KIND.ROCKET && p.kind !== PIECE_KIND.BOMB) return;
-    isBusy = true;
+  /**
+   * Blitz countdown bar along the top edge of the board.
+   * @param {number} w canvas width
+   * @param {number} cell
+   */
+  function drawClockBar(w, cell) {
+    const limit = game.mode.timeLimitMs;
+    const left = game.timeLeftMs;
+    if (limit == null || left == null) return;
 
-    let center = { x: specialOrigin.x, y: specialOrigin.y };
-    if (p.kind === PIECE_KIND.ROCKET && specialTarget) {
-      center = { x: specialTarget.x, y: specialTarget.y };
+    const now = performance.now();
+    const frac = clamp(left / limit, 0, 1);
+    const warn = left <= CLOCK.warnMs;
+    const pulse = warn ? 0.5 + 0.5 * Math.sin(now / 90) : 0;
+    const barH = Math.max(4, Math.round(cell * 0.1));
+
+    boardCtx.save();
+    boardCtx.fillStyle = "rgba(0,0,0,0.35)";
+    boardCtx.fillRect(0, 0, w, barH);
+    boardCtx.fillStyle = warn ? `rgba(255,122,165,${0.75 + pulse * 0.25})` : "rgba(110,231,255,0.9)";
+    boardCtx.shadowColor = warn ? "rgba(255,122,165,0.8)" : "rgba(110,231,255,0.7)";
+    boardCtx.shadowBlur = cell * 0.2;
+    boardCtx.fillRect(0, 0, w * frac, barH);
+
+    boardCtx.shadowBlur = cell * 0.12;
+    boardCtx.shadowColor = "rgba(0,0,0,0.8)";
+    boardCtx.font = `800 ${Math.round(cell * 0.26)}px ui-sans-serif, system-ui`;
+    boardCtx.textAlign = "right";
+    boardCtx.textBaseline = "top";
+    boardCtx.fillStyle = warn ? "rgba(255,200,215,0.95)" : "rgba(255,255,255,0.85)";
+    const secs = `${Math.ceil(left / 1000)} s`;
+    const label = clockRunning || left < limit ? secs : `${secs} · start prvním tahem`;
+    boardCtx.fillText(label, w - cell * 0.12, barH + cell * 0.06);
+
+    if (timeBonusFlash) {
+      const t = (now - timeBonusFlash.start) / CLOCK.bonusFlashMs;
+      if (t >= 1) {
+        timeBonusFlash = null;
+      } else {
+        boardCtx.globalAlpha = 1 - t;
+        boardCtx.fillStyle = "rgba(124,247,195,1)";
+        boardCtx.textAlign = "left";
+        boardCtx.fillText(`+${Math.round(timeBonusFlash.ms / 1000)} s`, cell * 0.12, barH + cell * (0.06 + t * 0.3));
+      }
     }
+    boardCtx.restore();
+  }
 
-    /** @type {{x:number,y:number}[]} */
-    let area = [];
-    if (p.kind === PIECE_KIND.ROCKET) area = rocketArea(center);
-    if (p.kind === PIECE_KIND.BOMB) area = bombArea(center);
+  /** Any interaction (or a finished move) resets the idle timer and hides the suggestion. */
+  function noteInput() {
+    lastInputAt = performance.now();
+    suggestion = null;
+  }
 
-    // Always remove the activated power-up itself as well.
-    area.push({ x: specialOrigin.x, y: specialOrigin.y });
+  function showSuggestion() {
+    suggestion = Engine.suggestMove(game);
+    suggestionStart = performance.now();
+  }
 
-    // Animate explosion clears
-    /** @type {{x:number,y:number,id:number,color:number}[]} */
-    const willClear = [];
-    for (const c of area) {
-      if (!isInBounds(c.x, c.y)) continue;
-      const pp = board[c.y]?.[c.x];
-      if (!pp) continue;
-      willClear.push({ x: c.x, y: c.y, id: pp.id, color: pp.color });
+  /** @param {number} nowMs */
+  function updateHints(nowMs) {
+    if (
+      !suggestion &&
+      !replay &&
+      !isBusy &&
+      mode === "idle" &&
+      !Engine.isGameOver(game) &&
+      nowMs - lastInputAt >= HINT.idleMs
+    ) {
+      showSuggestion();
     }
 
-    for (const c of willClear) {
-      scheduleStyle(c.id, 1, 0, 1, 0.25, ANIM.clearMs, easeOutCubic);
-      spawnClearParticles(c.x, c.y, c.color, 6);
-    }
-    boardShake = Math.max(boardShake, p.kind === PIECE_KIND.BOMB ? 10 : 7);
-    playSfx(p.kind === PIECE_KIND.ROCKET ? "rocket" : "bomb", 1);
-    setHint(p.kind === PIECE_KIND.ROCKET ? "BOOM! 🚀 (+)" : "KABOOM! 💣");
+    const left = Math.ceil((hintCooldownUntil - nowMs) / 1000);
+    const label = left > 0 ? `💡 ${left} s` : "💡 Nápověda";
+    if (btnHint.textContent !== label) btnHint.textContent = label;
+    btnHint.disabled = left > 0;
+  }
 
-    waitForStepAnimations().then(async () => {
-      for (const c of willClear) {
-        if (isInBounds(c.x, c.y)) board[c.y][c.x] = null;
-        visuals.delete(c.id);
-        moveAnims.delete(c.id);
-        styleAnims.delete(c.id);
-      }
-      if (willClear.length > 0) addScore(willClear.length);
-      collapseAndFillAnimated();
-      await waitForStepAnimations();
-      await resolveMatchesAnimated(null);
-      isBusy = false;
-    });
+  /**
+   * Keyboard cursor: dashed corners that gently breathe.
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {{x:number,y:number}} at
+   * @param {number} cell
+   */
+  function drawCursor(ctx, at, cell) {
+    const pulse = 0.5 + 0.5 * Math.sin((performance.now() / 1000) * Math.PI * 2 * 0.8);
+    const pad = cell * (0.03 + pulse * 0.02);
+    ctx.save();
+    ctx.lineWidth = Math.max(2, Math.round(cell * 0.05));
+    ctx.strokeStyle = "rgba(255,255,255,0.9)";
+    ctx.shadowColor = "rgba(110,231,255,0.9)";
+    ctx.shadowBlur = cell * 0.18;
+    ctx.setLineDash([cell * 0.16, cell * 0.1]);
+    ctx.strokeRect(at.x * cell + pad, at.y * cell + pad, cell - pad * 2, cell - pad * 2);
+    ctx.restore();
   }
 
   function renderBoard() {
@@ -1083,6 +2297,9 @@
     const w = boardCanvas.width;
     const h = boardCanvas.height;
     const cell = getBoardCellSize();
+    const { ox, oy } = getBoardOrigin();
+    const bw = cell * game.width;
+    const bh = cell * game.height;
 
     syncVisualsToBoard();
 
@@ -1096,31 +2313,53 @@
       shy = Math.cos(boardShakeT * 55) * boardShake;
     }
     boardCtx.save();
-    boardCtx.translate(shx, shy);
+    boardCtx.translate(ox + shx, oy + shy);
+
+    // shaped board: outline the playable area and keep grid, ice and pieces inside it
+    const shaped = game.mask.some((row) => row.includes(false));
+    if (shaped) {
+      drawBoardShape(boardCtx, cell);
+      boardCtx.save();
+      boardCtx.beginPath();
+      for (let y = 0; y < game.height; y++) {
+        for (let x = 0; x < game.width; x++) {
+          if (game.mask[y][x]) boardCtx.rect(x * cell, y * cell, cell, cell);
+        }
+      }
+      boardCtx.clip();
+    }
 
     // subtle grid
     boardCtx.save();
     boardCtx.globalAlpha = 0.18;
     boardCtx.strokeStyle = "rgba(255,255,255,0.10)";
     boardCtx.lineWidth = Math.max(1, Math.round(cell * 0.02));
-    for (let i = 1; i < GRID; i++) {
-      const p = i * cell;
+    for (let i = 1; i < game.width; i++) {
       boardCtx.beginPath();
-      boardCtx.moveTo(p, 0);
-      boardCtx.lineTo(p, h);
+      boardCtx.moveTo(i * cell, 0);
+      boardCtx.lineTo(i * cell, bh);
       boardCtx.stroke();
-
+    }
+    for (let i = 1; i < game.height; i++) {
       boardCtx.beginPath();
-      boardCtx.moveTo(0, p);
-      boardCtx.lineTo(w, p);
+      boardCtx.moveTo(0, i * cell);
+      boardCtx.lineTo(bw, i * cell);
       boardCtx.stroke();
     }
     boardCtx.restore();
 
+    // ice layers (under the pieces)
+    for (let y = 0; y < game.height; y++) {
+      for (let x = 0; x < game.width; x++) {
+        const layers = ice[y]?.[x] ?? 0;
+        if (layers > 0) drawIce(boardCtx, x, y, cell, layers);
+      }
+    }
+
     /** @type {{p:Piece, vx:number, vy:number, alpha:number, scale:number}[]} */
     const drawList = [];
-    for (let y = 0; y < GRID; y++) {
-      for (let x = 0; x < GRID; x++) {
+    for (let y = 0; y < game.height; y++) {
+      for (let x = 0; x < game.width; x++) {
         const p = board[y][x];
         if (!p) continue;
         const v = visuals.get(p.id) ?? { x, y, alpha: 1, scale: 1 };
@@ -1134,11 +2373,28 @@
       const cy = (it.vy + 0.5) * cell;
       drawPiece(boardCtx, it.p, cx, cy, cell, it.scale, it.alpha);
     }
+    if (shaped) boardCtx.restore();
+
+    // suggested swap (pulse)
+    if (suggestion && mode === "idle" && !isBusy) {
+      const t = (performance.now() - suggestionStart) / 1000;
+      const pulse = 0.5 + 0.5 * Math.sin(t * Math.PI * 2 * 1.1);
+      const pad = cell * (0.08 - pulse * 0.03);
+      boardCtx.save();
+      boardCtx.lineWidth = Math.max(2, Math.round(cell * 0.05));
+      boardCtx.strokeStyle = `rgba(255,255,255,${0.3 + pulse * 0.5})`;
+      boardCtx.shadowColor = "rgba(110,231,255,0.8)";
+      boardCtx.shadowBlur = cell * (0.12 + pulse * 0.2);
+      for (const c of [suggestion.a, suggestion.b]) {
+        boardCtx.strokeRect(c.x * cell + pad, c.y * cell + pad, cell - pad * 2, cell - pad * 2);
+      }
+      boardCtx.restore();
+    }
 
     // drag highlight (swap)
     if (mode === "swap" && dragOrigin) {
       const originPiece = board[dragOrigin.y]?.[dragOrigin.x];
-      const c = originPiece ? COLORS[originPiece.color] : COLORS[0];
+      const c = (originPiece && colorOf(originPiece.color)) || COLORS[0];
 
       /** @param {{x:number,y:number}} pos */
       const strokeCell = (pos) => {
@@ -1155,6 +2411,12 @@
       boardCtx.shadowBlur = cell * 0.25;
 
       strokeCell(dragOrigin);
+      if (!dragTarget && originPiece?.kind === PIECE_KIND.CROSS) {
+        // releasing here fires the cross: preview its row + column
+        boardCtx.fillStyle = "rgba(255,255,255,0.08)";
+        boardCtx.fillRect(0, dragOrigin.y * cell, game.width * cell, cell);
+        boardCtx.fillRect(dragOrigin.x * cell, 0, cell, game.height * cell);
+      }
       if (dragTarget) {
         strokeCell(dragTarget);
         boardCtx.beginPath();
@@ -1171,7 +2433,14 @@
       if (originPiece && originPiece.kind === PIECE_KIND.ROCKET) {
         const center = specialTarget ?? specialOrigin;
         boardCtx.save();
-        const c = COLORS[originPiece.color];
+        const c = colorOf(originPiece.color) ?? COLORS[0];
+        if (originPiece.dir === "h") {
+          boardCtx.fillStyle = "rgba(255,255,255,0.08)";
+          boardCtx.fillRect(0, center.y * cell, game.width * cell, cell);
+        } else if (originPiece.dir === "v") {
+          boardCtx.fillStyle = "rgba(255,255,255,0.08)";
+          boardCtx.fillRect(center.x * cell, 0, cell, game.height * cell);
+        }
         boardCtx.strokeStyle = c.glow;
         boardCtx.shadowColor = c.glow;
         boardCtx.shadowBlur = cell * 0.22;
@@ -1183,6 +2452,11 @@
       }
     }
 
+    if (cursorVisible && cursor && !replay) drawCursor(boardCtx, cursor, cell);
+
+    for (const sw of sweeps) drawSweep(boardCtx, sw, cell);
+    for (const bl of blasts) drawBlast(boardCtx, bl, cell);
+
     // particles (juice)
     if (particles.length > 0) {
       boardCtx.save();
@@ -1195,13 +2469,250 @@
         boardCtx.shadowColor = prt.color;
         boardCtx.shadowBlur = cell * 0.25;
         boardCtx.beginPath();
-        boardCtx.arc(prt.x, prt.y, cell * 0.06 + a * cell * 0.04, 0, Math.PI * 2);
+        if (prt.shard) {
+          // spinning triangle
+          const r = cell * 0.07 + a * cell * 0.03;
+          const rot = prt.age * 14 + prt.vx * 0.01;
+          for (let k = 0; k < 3; k++) {
+            const ang = rot + (k * Math.PI * 2) / 3;
+            const px = prt.x + Math.cos(ang) * r * (k === 0 ? 1.6 : 1);
+            const py = prt.y + Math.sin(ang) * r * (k === 0 ? 1.6 : 1);
+            if (k === 0) boardCtx.moveTo(px, py);
+            else boardCtx.lineTo(px, py);
+          }
+          boardCtx.closePath();
+        } else {
+          boardCtx.arc(prt.x, prt.y, cell * 0.06 + a * cell * 0.04, 0, Math.PI * 2);
+        }
         boardCtx.fill();
       }
       boardCtx.restore();
     }
 
+    for (const pp of popups) drawPopup(boardCtx, pp, cell);
+
     boardCtx.restore();
+
+    // blitz clock (outside the shake transform)
+    if (!replay) drawClockBar(w, cell);
+  }
+
+  /**
+   * Score popup (rises and fades) or callout (pops in the middle, shrunk to fit the board).
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {(typeof popups)[number]} pp
+   * @param {number} cell
+   */
+  function drawPopup(ctx, pp, cell) {
+    const t = clamp(pp.age / pp.life, 0, 1);
+    const pop = easeOutBack(Math.min(1, t * (pp.callout ? 4 : 5)));
+    const alpha = t < 0.7 ? 1 : 1 - (t - 0.7) / 0.3;
+    const rise = pp.callout ? 0 : easeOutCubic(t) * 0.7;
+    const fontPx = Math.max(10, Math.round(cell * pp.size));
+    ctx.save();
+    ctx.globalAlpha = alpha;
+    ctx.translate((pp.x + 0.5) * cell, (pp.y + 0.5 - rise) * cell);
+    ctx.font = `900 ${fontPx}px ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto, Arial`;
+    const fit = Math.min(1, (game.width * cell * 0.92) / Math.max(1, ctx.measureText(pp.text).width));
+    ctx.scale(pop * fit, pop * fit);
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    ctx.lineJoin = "round";
+    ctx.lineWidth = Math.max(2, fontPx * 0.16);
+    ctx.strokeStyle = "rgba(0,0,0,0.6)";
+    ctx.strokeText(pp.text, 0, 0);
+    ctx.shadowColor = pp.color;
+    ctx.shadowBlur = cell * (pp.callout ? 0.45 : 0.25);
+    ctx.fillStyle = pp.color;
+    ctx.fillText(pp.text, 0, 0);
+    ctx.restore();
+  }
+
+  /**
+   * Line rocket: two glowing heads race from the center to both ends of the line, dragging a fading trail.
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {(typeof sweeps)[number]} sw
+   * @param {number} cell
+   */
+  function drawSweep(ctx, sw, cell) {
+    const t = clamp(sw.age / sw.life, 0, 1);
+    const reach = easeInOutQuad(Math.min(1, t * 1.8));
+    const fade = 1 - clamp((t - 0.45) / 0.55, 0, 1);
+    const c = colorOf(sw.color) ?? COLORS[0];
+    const cx = (sw.x + 0.5) * cell;
+    const cy = (sw.y + 0.5) * cell;
+    const horizontal = sw.dir === "h";
+    const ends = horizontal
+      ? [{ x: cx - cx * reach, y: cy }, { x: cx + (game.width * cell - cx) * reach, y: cy }]
+      : [{ x: cx, y: cy - cy * reach }, { x: cx, y: cy + (game.height * cell - cy) * reach }];
+    ctx.save();
+    ctx.globalCompositeOperation = "lighter";
+    ctx.lineCap = "round";
+    ctx.shadowColor = c.glow;
+    ctx.shadowBlur = cell * 0.4;
+    for (const end of ends) {
+      const trail = ctx.createLinearGradient(cx, cy, end.x, end.y);
+      trail.addColorStop(0, "rgba(255,255,255,0)");
+      trail.addColorStop(1, `rgba(255,255,255,${0.75 * fade})`);
+      ctx.strokeStyle = trail;
+      ctx.lineWidth = cell * 0.22;
+      ctx.beginPath();
+      ctx.moveTo(cx, cy);
+      ctx.lineTo(end.x, end.y);
+      ctx.stroke();
+      ctx.globalAlpha = fade;
+      ctx.fillStyle = c.hi;
+      ctx.beginPath();
+      ctx.arc(end.x, end.y, cell * 0.2, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.globalAlpha = 1;
+    }
+    ctx.restore();
+  }
+
+  /**
+   * Combo shockwave: light beams along the cleared rows/columns, or an expanding ring for the mega bomb.
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {(typeof blasts)[number]} bl
+   * @param {number} cell
+   */
+  function drawBlast(ctx, bl, cell) {
+    const t = clamp(bl.age / bl.life, 0, 1);
+    const fade = 1 - t;
+    const cx = (bl.x + 0.5) * cell;
+    const cy = (bl.y + 0.5) * cell;
+    ctx.save();
+    ctx.globalCompositeOperation = "lighter";
+    ctx.shadowColor = "rgba(255,255,255,0.9)";
+    ctx.shadowBlur = cell * 0.5;
+
+    if (bl.combo === "megaBomb") {
+      const radius = (Engine.COMBO.megaBombRadius + 0.5) * cell * easeOutCubic(t);
+      const g = ctx.createRadialGradient(cx, cy, radius * 0.2, cx, cy, Math.max(1, radius));
+      g.addColorStop(0, `rgba(255,240,200,${0.55 * fade})`);
+      g.addColorStop(0.7, `rgba(255,150,60,${0.35 * fade})`);
+      g.addColorStop(1, "rgba(255,90,40,0)");
+      ctx.fillStyle = g;
+      ctx.beginPath();
+      ctx.arc(cx, cy, Math.max(1, radius), 0, Math.PI * 2);
+      ctx.fill();
+      ctx.strokeStyle = `rgba(255,220,160,${0.9 * fade})`;
+      ctx.lineWidth = Math.max(2, cell * 0.18 * fade);
+      ctx.stroke();
+    } else {
+      // beams shoot out from the center to the board edges
+      const half = bl.combo === "wideCross" ? Engine.COMBO.wideCrossHalf + 0.5 : 0.35;
+      const thick = half * 2 * cell * (0.6 + 0.4 * fade);
+      const reach = easeOutCubic(Math.min(1, t * 2.2));
+      const w = game.width * cell;
+      const h = game.height * cell;
+      ctx.fillStyle = bl.combo === "wideCross" ? `rgba(255,170,90,${0.5 * fade})` : `rgba(140,230,255,${0.55 * fade})`;
+      ctx.fillRect(cx - cx * reach, cy - thick / 2, (cx + (w - cx)) * reach, thick);
+      ctx.fillRect(cx - thick / 2, cy - cy * reach, thick, (cy + (h - cy)) * reach);
+      ctx.fillStyle = `rgba(255,255,255,${0.7 * fade})`;
+      ctx.fillRect(cx - cx * reach, cy - thick * 0.12, w * reach, thick * 0.24);
+      ctx.fillRect(cx - thick * 0.12, cy - cy * reach, thick * 0.24, h * reach);
+    }
+    ctx.restore();
+  }
+
+  /**
+   * @param {CanvasRenderingContext2D} ctx
+   */
+  function roundRectPath(ctx, x, y, w, h, r) {
+    ctx.beginPath();
+    ctx.moveTo(x + r, y);
+    ctx.arcTo(x + w, y, x + w, y + h, r);
+    ctx.arcTo(x + w, y + h, x, y + h, r);
+    ctx.arcTo(x, y + h, x, y, r);
+    ctx.arcTo(x, y, x + w, y, r);
+    ctx.closePath();
+  }
+
+  /**
+   * Tinted playable cells plus a glowing outline along every edge that borders a hole or the board edge.
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {number} cell
+   */
+  function drawBoardShape(ctx, cell) {
+    const playable = (x, y) => Engine.isCell(game, x, y);
+    ctx.save();
+    ctx.fillStyle = "rgba(255,255,255,0.04)";
+    for (let y = 0; y < game.height; y++) {
+      for (let x = 0; x < game.width; x++) {
+        if (playable(x, y)) ctx.fillRect(x * cell, y * cell, cell, cell);
+      }
+    }
+
+    ctx.strokeStyle = "rgba(110,231,255,0.55)";
+    ctx.shadowColor = "rgba(110,231,255,0.6)";
+    ctx.shadowBlur = cell * 0.12;
+    ctx.lineWidth = Math.max(2, Math.round(cell * 0.04));
+    ctx.lineCap = "round";
+    ctx.beginPath();
+    for (let y = 0; y < game.height; y++) {
+      for (let x = 0; x < game.width; x++) {
+        if (!playable(x, y)) continue;
+        const x0 = x * cell;
+        const y0 = y * cell;
+        if (!playable(x, y - 1)) {
+          ctx.moveTo(x0, y0);
+          ctx.lineTo(x0 + cell, y0);
+        }
+        if (!playable(x, y + 1)) {
+          ctx.moveTo(x0, y0 + cell);
+          ctx.lineTo(x0 + cell, y0 + cell);
+        }
+        if (!playable(x - 1, y)) {
+          ctx.moveTo(x0, y0);
+          ctx.lineTo(x0, y0 + cell);
+        }
+        if (!playable(x + 1, y)) {
+          ctx.moveTo(x0 + cell, y0);
+          ctx.lineTo(x0 + cell, y0 + cell);
+        }
+      }
+    }
+    ctx.stroke();
+    ctx.restore();
+  }
+
+  /**
+   * Frosted tile; every extra layer is more opaque and gets another crack line.
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {number} x
+   * @param {number} y
+   * @param {number} cell
+   * @param {number} layers
+   */
+  function drawIce(ctx, x, y, cell, layers) {
+    const inset = cell * 0.04;
+    const x0 = x * cell + inset;
+    const y0 = y * cell + inset;
+    const s = cell - inset * 2;
+    ctx.save();
+    const g = ctx.createLinearGradient(x0, y0, x0 + s, y0 + s);
+    g.addColorStop(0, `rgba(210,245,255,${0.16 + layers * 0.1})`);
+    g.addColorStop(1, `rgba(120,190,255,${0.08 + layers * 0.08})`);
+    ctx.fillStyle = g;
+    ctx.strokeStyle = `rgba(220,248,255,${0.3 + layers * 0.15})`;
+    ctx.lineWidth = Math.max(1, cell * 0.025);
+    roundRectPath(ctx, x0, y0, s, s, cell * 0.14);
+    ctx.fill();
+    ctx.stroke();
+
+    // frost cracks (fixed per cell, so they don't flicker)
+    ctx.strokeStyle = "rgba(255,255,255,0.45)";
+    ctx.lineWidth = Math.max(1, cell * 0.015);
+    for (let i = 0; i < layers; i++) {
+      const k = ((x * 7 + y * 13 + i * 5) % 10) / 10;
+      ctx.beginPath();
+      ctx.moveTo(x0 + s * (0.15 + k * 0.3), y0 + s * 0.12);
+      ctx.lineTo(x0 + s * (0.45 + k * 0.1), y0 + s * 0.5);
+      ctx.lineTo(x0 + s * (0.3 + k * 0.5), y0 + s * 0.88);
+      ctx.stroke();
+    }
+    ctx.restore();
   }
 
   /**
@@ -1213,7 +2724,7 @@
    */
   function drawPiece(ctx, p, cx, cy, cell, scale = 1, alpha = 1) {
     const theme = persisted.pieceTheme;
-    const c = COLORS[p.color];
+    const c = colorOf(p.color) ?? COLORS[0];
     const r = cell * 0.34;
 
     ctx.save();
@@ -1274,12 +2785,17 @@
     }
 
     // power-up overlay
-    if (p.kind === PIECE_KIND.ROCKET || p.kind === PIECE_KIND.BOMB) {
-      const icon = p.kind === PIECE_KIND.ROCKET ? "🚀" : "💣";
-      ctx.font = `${Math.round(r * 1.0)}px ui-sans-serif, system-ui, Apple Color Emoji, Segoe UI Emoji`;
-      ctx.textAlign = "center";
-      ctx.textBaseline = "middle";
-      ctx.fillText(icon, 0, 1);
+    if (Engine.isSpecial(p)) {
+      if (p.kind === PIECE_KIND.CROSS) {
+        drawCrossIcon(ctx, r, cell);
+      } else if (p.dir) {
+        drawLineRocketIcon(ctx, r, cell, p.dir);
+      } else {
+        ctx.font = `${Math.round(r * 1.0)}px ui-sans-serif, system-ui, Apple Color Emoji, Segoe UI Emoji`;
+        ctx.textAlign = "center";
+        ctx.textBaseline = "middle";
+        ctx.fillText(SPECIAL_ICON[p.kind], 0, 1);
+      }
 
       ctx.beginPath();
       ctx.arc(0, 0, r + cell * 0.06, 0, Math.PI * 2);
@@ -1290,13 +2806,199 @@
       ctx.stroke();
     }
 
+    if (persisted.colorSymbols) {
+      // specials and dinos keep the center for their own icon
+      if (Engine.isSpecial(p) || theme === PIECE_THEME.DINOS) {
+        ctx.save();
+        ctx.translate(r * 0.7, -r * 0.7);
+        drawColorSymbol(ctx, p.color, r * 0.26);
+        ctx.restore();
+      } else {
+        drawColorSymbol(ctx, p.color, r * 0.4);
+      }
+    }
+
+    if (p.locked) drawChains(ctx, r, cell);
+
+    ctx.restore();
+  }
+
+  /**
+   * Colorblind mode: a white shape per color index (COLOR_SYMBOLS order) with a dark outline.
+   * Expects the transform centered on the symbol.
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {number} index color index
+   * @param {number} s symbol radius
+   */
+  function drawColorSymbol(ctx, index, s) {
+    ctx.save();
+    ctx.shadowBlur = 0;
+    ctx.globalAlpha = 1;
+    ctx.fillStyle = "rgba(255,255,255,0.95)";
+    ctx.strokeStyle = "rgba(0,0,0,0.6)";
+    ctx.lineWidth = Math.max(1, s * 0.3);
+    ctx.lineJoin = "round";
+    ctx.beginPath();
+    const shape = index % COLOR_SYMBOLS.length;
+    if (shape === 0) {
+      ctx.arc(0, 0, s * 0.8, 0, Math.PI * 2);
+    } else if (shape === 1) {
+      ctx.moveTo(0, -s);
+      ctx.lineTo(s * 0.95, s * 0.7);
+      ctx.lineTo(-s * 0.95, s * 0.7);
+    } else if (shape === 2) {
+      ctx.rect(-s * 0.72, -s * 0.72, s * 1.44, s * 1.44);
+    } else if (shape === 3) {
+      ctx.moveTo(0, -s);
+      ctx.lineTo(s * 0.8, 0);
+      ctx.lineTo(0, s);
+      ctx.lineTo(-s * 0.8, 0);
+    } else if (shape === 4) {
+      for (let i = 0; i < 10; i++) {
+        const a = -Math.PI / 2 + (i * Math.PI) / 5;
+        const d = i % 2 === 0 ? s : s * 0.45;
+        ctx.lineTo(Math.cos(a) * d, Math.sin(a) * d);
+      }
+    } else {
+      // "✖": a plus outline turned by 45°
+      const w = s * 0.3;
+      const pts = [
+        [-w, -s], [w, -s], [w, -w], [s, -w], [s, w], [w, w],
+        [w, s], [-w, s], [-w, w], [-s, w], [-s, -w], [-w, -w],
+      ];
+      ctx.rotate(Math.PI / 4);
+      for (const [x, y] of pts) ctx.lineTo(x, y);
+    }
+    ctx.closePath();
+    // outline first, so the fill keeps the shape crisp
+    ctx.stroke();
+    ctx.fill();
+    ctx.restore();
+  }
+
+  /**
+   * Line rocket: a double arrow along its line with the rocket on top, turned the same way.
+   * Expects the piece-centered transform.
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {number} r piece radius
+   * @param {number} cell
+   * @param {"h"|"v"} dir
+   */
+  function drawLineRocketIcon(ctx, r, cell, dir) {
+    const arm = r * 0.86;
+    const half = r * 0.1;
+    const head = r * 0.26;
+    ctx.save();
+    if (dir === "v") ctx.rotate(Math.PI / 2);
+    ctx.shadowColor = "rgba(255,255,255,0.9)";
+    ctx.shadowBlur = cell * 0.1;
+    ctx.fillStyle = "rgba(255,255,255,0.85)";
+    ctx.beginPath();
+    ctx.moveTo(-arm, 0);
+    ctx.lineTo(-arm + head, -half - head * 0.6);
+    ctx.lineTo(-arm + head, -half);
+    ctx.lineTo(arm - head, -half);
+    ctx.lineTo(arm - head, -half - head * 0.6);
+    ctx.lineTo(arm, 0);
+    ctx.lineTo(arm - head, half + head * 0.6);
+    ctx.lineTo(arm - head, half);
+    ctx.lineTo(-arm + head, half);
+    ctx.lineTo(-arm + head, half + head * 0.6);
+    ctx.closePath();
+    ctx.fill();
+    // the emoji points up-right; turn it onto the arrow
+    ctx.rotate(Math.PI / 4);
+    ctx.shadowBlur = 0;
+    ctx.font = `${Math.round(r * 0.9)}px ui-sans-serif, system-ui, Apple Color Emoji, Segoe UI Emoji`;
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    ctx.fillText(SPECIAL_ICON.rocket, 0, 1);
+    ctx.restore();
+  }
+
+  /**
+   * Cross special: a bright "+" whose arms end in arrowheads (it fires along the whole row and column).
+   * Expects the piece-centered transform.
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {number} r piece radius
+   * @param {number} cell
+   */
+  function drawCrossIcon(ctx, r, cell) {
+    const arm = r * 0.78;
+    const half = r * 0.13;
+    const head = r * 0.24;
+    ctx.save();
+    ctx.shadowColor = "rgba(255,255,255,0.9)";
+    ctx.shadowBlur = cell * 0.12;
+    ctx.fillStyle = "rgba(255,255,255,0.95)";
+    ctx.strokeStyle = "rgba(0,0,0,0.35)";
+    ctx.lineWidth = Math.max(1, cell * 0.015);
+    for (let i = 0; i < 4; i++) {
+      ctx.save();
+      ctx.rotate((i * Math.PI) / 2);
+      ctx.beginPath();
+      ctx.moveTo(-half, -half);
+      ctx.lineTo(arm - head, -half);
+      ctx.lineTo(arm - head, -half - head * 0.55);
+      ctx.lineTo(arm, 0);
+      ctx.lineTo(arm - head, half + head * 0.55);
+      ctx.lineTo(arm - head, half);
+      ctx.lineTo(-half, half);
+      ctx.closePath();
+      ctx.fill();
+      ctx.restore();
+    }
+    ctx.shadowBlur = 0;
+    ctx.beginPath();
+    ctx.arc(0, 0, half * 1.5, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+    ctx.restore();
+  }
+
+  /**
+   * Two crossed chains over a locked piece (same for every theme). Expects the piece-centered transform.
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {number} r piece radius
+   * @param {number} cell
+   */
+  function drawChains(ctx, r, cell) {
+    const links = 5;
+    const span = r * 1.15;
+    const lw = cell * 0.075;
+    const lh = cell * 0.045;
+    ctx.save();
+    ctx.shadowColor = "rgba(0,0,0,0.6)";
+    ctx.shadowBlur = cell * 0.06;
+    ctx.lineWidth = Math.max(1.5, cell * 0.028);
+    for (const dir of [1, -1]) {
+      const ang = Math.atan2(span * dir, span);
+      for (let i = 0; i < links; i++) {
+        const t = i / (links - 1) - 0.5;
+        ctx.save();
+        ctx.translate(t * 2 * span, t * 2 * span * dir);
+        // alternate links face the viewer / are seen edge-on
+        ctx.rotate(ang + (i % 2 === 0 ? 0 : Math.PI / 2));
+        ctx.beginPath();
+        ctx.ellipse(0, 0, i % 2 === 0 ? lw : lh * 0.8, i % 2 === 0 ? lh : lw * 0.55, 0, 0, Math.PI * 2);
+        ctx.strokeStyle = i % 2 === 0 ? "rgba(215,222,232,0.95)" : "rgba(150,160,175,0.95)";
+        ctx.stroke();
+        ctx.restore();
+      }
+    }
+    // padlock
+    ctx.shadowBlur = cell * 0.08;
+    ctx.font = `${Math.round(r * 0.7)}px ui-sans-serif, system-ui, Apple Color Emoji, Segoe UI Emoji`;
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    ctx.fillText("🔒", 0, r * 0.05);
     ctx.restore();
   }
 
   /** score -> 0..1 (asymptotic, never reaches 1) */
   function speedFromScore(s) {
-    // Log-like diminishing returns: 1 - (1 + s/100)^(-0.7)
-    const x = Math.max(0, s) / 100;
+    // Log-like diminishing returns: 1 - (1 + s/200)^(-0.7)
+    const x = Math.max(0, s) / 200;
     return 1 - Math.pow(1 + x, -0.7);
   }
 
@@ -1310,6 +3012,64 @@
   let wheelAngle = Math.random() * Math.PI * 2;
   let runnerT = 0;
 
+  // Colors + proportions of the runner per skin
+  const RUNNER_LOOKS = {
+    mouse: {
+      body: "#aab3c2",
+      belly: "#dbe2ee",
+      outline: "rgba(255,255,255,0.16)",
+      tail: "#c8cfdb",
+      ear: "#e1a7b7",
+      snout: 1.00,
+      tailLen: 1.05,
+    },
+    rat: {
+      body: "#8b93a6",
+      belly: "#c7ceda",
+      outline: "rgba(255,255,255,0.16)",
+      tail: "#b7bfcc",
+      ear: "#d6b3c2",
+      snout: 1.05,
+      tailLen: 1.25,
+    },
+    dog: {
+      body: "#b48a62",
+      belly: "#e7d3b7",
+      outline: "rgba(255,255,255,0.14)",
+      tail: "#caa27b",
+      ear: "#8e6846",
+      snout: 1.18,
+      tailLen: 0.70,
+    },
+    dino: {
+      body: "#35d07f",
+      belly: "#bdf7db",
+      outline: "rgba(255,255,255,0.14)",
+      tail: "#2bb56c",
+      ear: "#2bb56c",
+      snout: 1.10,
+      tailLen: 1.15,
+    },
+    fox: {
+      body: "#f08a3c",
+      belly: "#fde6cf",
+      outline: "rgba(255,255,255,0.14)",
+      tail: "#f5a35f",
+      ear: "#c9601f",
+      snout: 1.22,
+      tailLen: 1.30,
+    },
+    cat: {
+      body: "#6f6a7d",
+      belly: "#d9d3e4",
+      outline: "rgba(255,255,255,0.16)",
+      tail: "#8a8499",
+      ear: "#f0a7c0",
+      snout: 0.92,
+      tailLen: 1.35,
+    },
+  };
+
   /**
    * Simple side-view "runner" sprites drawn in canvas (no emojis).
    * @param {CanvasRenderingContext2D} ctx
@@ -1320,46 +3080,7 @@
    * @param {number} phase animation phase (radians)
    */
   function drawRunnerAnimal(ctx, skinId, x, y, sizePx, phase) {
-    const cfg =
-      skinId === "rat"
-        ? {
-            body: "#8b93a6",
-            belly: "#c7ceda",
-            outline: "rgba(255,255,255,0.16)",
-            tail: "#b7bfcc",
-            ear: "#d6b3c2",
-            snout: 1.05,
-            tailLen: 1.25,
-          }
-        : skinId === "dog"
-          ? {
-              body: "#b48a62",
-              belly: "#e7d3b7",
-              outline: "rgba(255,255,255,0.14)",
-              tail: "#caa27b",
-              ear: "#8e6846",
-              snout: 1.18,
-              tailLen: 0.70,
-            }
-          : skinId === "dino"
-            ? {
-                body: "#35d07f",
-                belly: "#bdf7db",
-                outline: "rgba(255,255,255,0.14)",
-                tail: "#2bb56c",
-                ear: "#2bb56c",
-                snout: 1.10,
-                tailLen: 1.15,
-              }
-            : {
-                body: "#aab3c2",
-                belly: "#dbe2ee",
-                outline: "rgba(255,255,255,0.16)",
-                tail: "#c8cfdb",
-                ear: "#e1a7b7",
-                snout: 1.00,
-                tailLen: 1.05,
-              };
+    const cfg = RUNNER_LOOKS[skinId] ?? RUNNER_LOOKS.mouse;
 
     const u = sizePx / 10; // unit size
     const run = Math.sin(phase);
@@ -1639,7 +3360,9 @@
 
       const meta = document.createElement("div");
       meta.className = "skin__meta";
-      meta.textContent = s.cost === 0 ? "default" : `cena: ${s.cost} skóre`;
+      const reward = s.achievement ? ACHIEVEMENTS.find((a) => a.id === s.achievement) : null;
+      if (reward) meta.textContent = `🏅 za úspěch „${reward.name}“`;
+      else meta.textContent = s.cost === 0 ? "default" : `cena: ${s.cost} skóre`;
 
       const actions = document.createElement("div");
       actions.className = "skin__actions";
@@ -1660,10 +3383,22 @@
           renderSkins();
           renderRunner(0);
         });
+      } else if (reward) {
+        btn.textContent = "🔒 Zamčeno";
+        btn.disabled = true;
+        btn.title = reward.desc;
       } else {
         btn.textContent = s.cost === 0 ? "Vzít" : "Koupit";
+        // a replay's score belongs to the recorded game
+        btn.disabled = !!replay;
+        if (replay) btn.title = "Během přehrávání záznamu nejde nakupovat.";
         btn.addEventListener("click", () => {
           ensureAudio();
+          if (replay) {
+            playSfx("bad", 0.8);
+            setHint("Během přehrávání záznamu nejde nakupovat.");
+            return;
+          }
           if (score < s.cost) {
             playSfx("bad", 0.8);
             setHint(`Na "${s.name}" potřebuješ aspoň ${s.cost} skóre. (Teď máš ${score}.)`);
@@ -1679,9 +3414,19 @@
           if (!persisted.ownedSkins.includes(s.id)) persisted.ownedSkins.push(s.id);
           persisted.activeSkin = s.id;
           savePersistedState(persisted);
+          // The best score keeps what was earned before the reset (incl. points still being animated).
+          recordBest();
+          // Points still being animated stay pending in the engine score.
+          recordAction({ type: "scoreReset", amount: Math.min(game.score, score) });
+          game.score = Math.max(0, game.score - score);
           setScore(0);
+          // Undo must not hand the spent score back.
+          undoStack = [];
+          renderUndo();
+          saveCurrentGame();
           renderSkins();
           setHint(`Skin "${s.name}" koupen! Skóre resetováno.`);
+          checkSkinCollection();
         });
       }
 
@@ -1694,53 +3439,471 @@
     }
   }
 
-  function initThemeUI() {
-    const radios = /** @type {NodeListOf<HTMLInputElement>} */ (
-      document.querySelectorAll('input[name="pieceTheme"]')
-    );
-    for (const r of radios) {
-      r.checked = r.value === persisted.pieceTheme;
-      r.addEventListener("change", () => {
+  function initThemeUI() {
+    const radios = /** @type {NodeListOf<HTMLInputElement>} */ (
+      document.querySelectorAll('input[name="pieceTheme"]')
+    );
+    for (const r of radios) {
+      r.checked = r.value === persisted.pieceTheme;
+      r.addEventListener("change", () => {
+        ensureAudio();
+        if (!r.checked) return;
+        if (
+          r.value === PIECE_THEME.BALLS ||
+          r.value === PIECE_THEME.DINOS ||
+          r.value === PIECE_THEME.DIAMONDS
+        ) {
+          setPieceTheme(r.value);
+        }
+      });
+    }
+  }
+
+  /** @param {"balls"|"dinos"|"diamonds"} theme */
+  function setPieceTheme(theme) {
+    persisted.pieceTheme = theme;
+    savePersistedState(persisted);
+    const radios = /** @type {NodeListOf<HTMLInputElement>} */ (
+      document.querySelectorAll('input[name="pieceTheme"]')
+    );
+    for (const r of radios) r.checked = r.value === theme;
+    playSfx("ui", 0.8);
+    renderBoard();
+  }
+
+  function initColorUI() {
+    selPalette.value = persisted.palette;
+    toggleSymbols.checked = persisted.colorSymbols;
+    selPalette.addEventListener("change", () => {
+      ensureAudio();
+      if (!Object.prototype.hasOwnProperty.call(PALETTES, selPalette.value)) return;
+      persisted.palette = selPalette.value;
+      applyColorSettings();
+    });
+    toggleSymbols.addEventListener("change", () => {
+      ensureAudio();
+      persisted.colorSymbols = toggleSymbols.checked;
+      applyColorSettings();
+    });
+  }
+
+  /** Save the palette / symbols choice and redraw everything that shows piece colors. */
+  function applyColorSettings() {
+    savePersistedState(persisted);
+    playSfx("ui", 0.8);
+    renderGoals();
+    renderCustomSwatches();
+    renderBoardGrid();
+    renderBoard();
+  }
+
+  function initSoundUI() {
+    toggleSound.checked = persisted.soundEnabled;
+    toggleSound.addEventListener("change", () => {
+      setSoundEnabled(toggleSound.checked);
+    });
+  }
+
+  /** @param {boolean} on */
+  function setSoundEnabled(on) {
+    persisted.soundEnabled = on;
+    toggleSound.checked = on;
+    savePersistedState(persisted);
+    if (persisted.soundEnabled) ensureAudio();
+    playSfx("ui", 0.7);
+  }
+
+  /**
+   * @typedef {Object} SavedGame
+   * @property {ReturnType<typeof Engine.serializeGame>} game
+   * @property {{left:number, stack:UndoEntry[]}} [undo]
+   * @property {ReturnType<typeof Engine.encodeRecording>} [recording]
+   */
+
+  /**
+   * @returns {{
+   *   game: import("./engine.js").GameState,
+   *   undoLeft: number,
+   *   undoStack: UndoEntry[],
+   *   recording: import("./engine.js").Recording|null,
+   * }|null}
+   */
+  function loadSavedGame() {
+    try {
+      const raw = localStorage.getItem(GAME_KEY);
+      if (!raw) return null;
+      const parsed = /** @type {Partial<SavedGame>} */ (JSON.parse(raw));
+      const restored = Engine.restoreGame(parsed?.game);
+      if (!restored) return null;
+
+      const undo = parsed.undo;
+      const undoLeft =
+        Number.isInteger(undo?.left) && undo.left >= 0 ? Math.min(UNDO_PER_GAME, undo.left) : UNDO_PER_GAME;
+      // Drop entries that no longer validate instead of failing the whole resume.
+      const undoStack = Array.isArray(undo?.stack)
+        ? undo.stack.map(normalizeUndoEntry).filter((e) => e != null).slice(-UNDO_PER_GAME)
+        : [];
+      // A log that doesn't belong to this game is useless for replay – start a fresh one.
+      const rec = Engine.decodeRecording(parsed.recording);
+      const recording = rec && rec.seed === restored.seed ? rec : null;
+      return { game: restored, undoLeft, undoStack, recording };
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * @param {unknown} v
+   * @returns {UndoEntry|null} null when anything doesn't validate
+   */
+  function normalizeUndoEntry(v) {
+    const e = /** @type {Record<string, any>} */ (v && typeof v === "object" ? v : {});
+    if (!Engine.restoreGame(e.game)) return null;
+    const stats = normalizeStats({ s: e.stats }).s;
+    if (!stats || !Array.isArray(e.achievements) || !Array.isArray(e.skins)) return null;
+    const achievementIds = ACHIEVEMENTS.map((a) => a.id);
+    return {
+      game: e.game,
+      stats,
+      achievements: e.achievements.filter((id) => achievementIds.includes(id)),
+      skins: e.skins.filter((id) => SKINS.some((s) => s.id === id)),
+    };
+  }
+
+  /** Called once the board has settled (after a move, on new game, on score reset). */
+  function saveCurrentGame() {
+    if (replay) return;
+    /** @type {SavedGame} */
+    const data = {
+      game: Engine.serializeGame(game),
+      undo: { left: undosLeft, stack: undoStack },
+      recording: Engine.encodeRecording(recording),
+    };
+    try {
+      localStorage.setItem(GAME_KEY, JSON.stringify(data));
+    } catch {
+      // ignore (private mode / quota) – the game just won't resume
+    }
+  }
+
+  /**
+   * Point the renderer at a (new or restored) engine state.
+   * @param {import("./engine.js").GameState} state
+   */
+  function startGame(state) {
+    gameGen++;
+    game = state;
+    fxRandom = Engine.createRng(`${game.seed}:fx`);
+    board = Engine.cloneBoard(game.board);
+    ice = game.ice.map((row) => row.slice());
+    elSeed.textContent = game.seed;
+    setScore(game.score);
+    showMultiplier(1);
+    undoStack = [];
+    // one attempt means no take-backs
+    undosLeft = game.mode.day != null ? 0 : UNDO_PER_GAME;
+    renderUndo();
+    recording = Engine.createRecording(game);
+    recordStart = performance.now();
+    modeSelect.value = game.mode.id;
+    elEndScreen.hidden = true;
+    renderMoves();
+    clockRunning = false;
+    timeBonusFlash = null;
+    bestAtStart = persisted.bestScores[bestKey()] ?? 0;
+    newRecord = false;
+    // a resumed game was counted when its first move was played
+    gameCounted = game.moves > 0;
+    selStatsMode.value = game.mode.id;
+    renderStats();
+    renderBest();
+    renderGoals();
+    elLevelScreen.hidden = true;
+    elCustomScreen.hidden = true;
+    elAchievementsScreen.hidden = true;
+    elDailyScreen.hidden = true;
+    isBusy = false;
+    visuals.clear();
+    moveAnims.clear();
+    styleAnims.clear();
+    particles.splice(0, particles.length);
+    blasts.length = 0;
+    sweeps.length = 0;
+    popups.length = 0;
+    boardShake = 0;
+    boardShakeT = 0;
+    clearSelection();
+    noteInput();
+    syncVisualsToBoard();
+    buildBoardGrid();
+    renderBoard();
+  }
+
+  /** @returns {boolean} false when there is no usable save */
+  function resumeSavedGame() {
+    const saved = loadSavedGame();
+    if (!saved) return false;
+    startGame(saved.game);
+    undosLeft = saved.undoLeft;
+    undoStack = saved.undoStack;
+    renderUndo();
+    if (saved.recording) {
+      recording = saved.recording;
+      const last = recording.actions[recording.actions.length - 1];
+      recordStart = performance.now() - (last ? last.t : 0);
+    }
+    checkGameOver();
+    return true;
+  }
+
+  /** @param {string|null} [seed] null = fresh random seed */
+  function newGame(seed = null) {
+    if (modeSelect.value === "level" && game.mode.level != null) {
+      // "Nová hra" inside the campaign restarts the current level.
+      const { width, height, colors, mode } = game;
+      startGame(Engine.createGame({ width, height, colors, seed, mode }));
+      saveCurrentGame();
+      setHint(`Level ${game.mode.level} znovu. ${describeObjectives()}`);
+      return;
+    }
+    // The daily challenge has a single attempt – "Nová hra" leaves it for an endless game.
+    const modeCfg = Engine.MODE_PRESETS[modeSelect.value] ?? Engine.MODE_PRESETS.endless;
+    startGame(Engine.createGame({ ...persisted.boardSetup, seed, mode: modeCfg }));
+    saveCurrentGame();
+    setHint(`Nová hra${describeSetup()}. Přetáhni dílek na sousední a prohoď je (min 3 v řadě).`);
+  }
+
+  /** " 10×10, 6 barev" for a non-default board, "" otherwise. */
+  function describeSetup() {
+    const { width, height, colors } = persisted.boardSetup;
+    if (isDefaultSetup(persisted.boardSetup)) return "";
+    return ` ${width}×${height}, ${colorsLabel(colors)}`;
+  }
+
+  /** @param {number} n */
+  function colorsLabel(n) {
+    return `${n} ${n >= 5 ? "barev" : "barvy"}`;
+  }
+
+  /** @param {BoardSetup} setup */
+  function fillCustomSetup(setup) {
+    inpCustomWidth.value = String(setup.width);
+    inpCustomHeight.value = String(setup.height);
+    inpCustomColors.value = String(setup.colors);
+    renderCustomSwatches();
+  }
+
+  /** @returns {BoardSetup} the dialog's values, clamped to the engine limits */
+  function readCustomSetup() {
+    const { minSize, maxSize, minColors, maxColors } = Engine.LIMITS;
+    const read = (inp, min, max, fallback) => {
+      const n = Math.round(Number(inp.value));
+      return Number.isFinite(n) && inp.value !== "" ? clamp(n, min, max) : fallback;
+    };
+    const cur = persisted.boardSetup;
+    return {
+      width: read(inpCustomWidth, minSize, maxSize, cur.width),
+      height: read(inpCustomHeight, minSize, maxSize, cur.height),
+      colors: read(inpCustomColors, minColors, maxColors, cur.colors),
+    };
+  }
+
+  function renderCustomSwatches() {
+    elCustomSwatches.innerHTML = "";
+    const { colors } = readCustomSetup();
+    for (let i = 0; i < colors; i++) {
+      const c = colorOf(i) ?? COLORS[i];
+      const sw = document.createElement("span");
+      sw.className = "customSetup__swatch";
+      sw.style.background = c.base;
+      sw.title = c.name;
+      if (persisted.colorSymbols) sw.textContent = COLOR_SYMBOLS[i];
+      elCustomSwatches.appendChild(sw);
+    }
+  }
+
+  function openCustomSetup() {
+    elCustomPresets.innerHTML = "";
+    for (const preset of SETUP_PRESETS) {
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = "btn btn--small";
+      btn.textContent = `${preset.name} ${preset.width}×${preset.height} · ${preset.colors}`;
+      btn.title = `${preset.width}×${preset.height}, ${colorsLabel(preset.colors)}`;
+      btn.addEventListener("click", () => {
+        playSfx("ui", 0.6);
+        fillCustomSetup(preset);
+      });
+      elCustomPresets.appendChild(btn);
+    }
+    fillCustomSetup(persisted.boardSetup);
+    elCustomScreen.hidden = false;
+  }
+
+  /** @param {import("./engine.js").Level} level */
+  function startLevel(level) {
+    if (!confirmLeaveDaily()) return;
+    if (replay) stopReplay(false);
+    const { width, height, colors, mode } = level;
+    startGame(Engine.createGame({ width, height, colors, mode }));
+    saveCurrentGame();
+    setHint(`Level ${level.id} – ${level.name}. ${describeObjectives()}`);
+  }
+
+  /** One-line objective summary for the hint bar. */
+  function describeObjectives() {
+    const parts = Engine.objectiveStatus(game).map(({ objective: o, target }) => {
+      if (o.type === "score") return `získej ${target} bodů`;
+      if (o.type === "clear") return `znič ${target}× ${colorOf(o.color)?.name ?? "?"}`;
+      if (o.type === "ice") return `rozbij ${target}× led`;
+      if (o.type === "unlock") return `uvolni ${target}× 🔒`;
+      return `vytvoř ${target}× ${SPECIAL_ICON[o.kind]}`;
+    });
+    return `Cíl: ${parts.join(", ")} za ${game.mode.moveLimit} tahů.`;
+  }
+
+  /** A level is open once the previous one has at least one star. */
+  function isLevelUnlocked(index) {
+    return index === 0 || (persisted.levelStars[campaign[index - 1]?.id] ?? 0) > 0;
+  }
+
+  function openLevelSelect() {
+    elLevelGrid.innerHTML = "";
+    campaign.forEach((level, i) => {
+      const stars = persisted.levelStars[level.id] ?? 0;
+      const unlocked = isLevelUnlocked(i);
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = level.id === game.mode.level ? "btn levelBtn levelBtn--current" : "btn levelBtn";
+      btn.disabled = !unlocked;
+      const info = `${level.name} (${level.width}×${level.height}, ${level.mode.moveLimit} tahů)`;
+      btn.title = unlocked ? info : "Zamčeno";
+
+      const num = document.createElement("span");
+      num.className = "levelBtn__num";
+      num.textContent = unlocked ? level.id : "🔒";
+      const st = document.createElement("span");
+      st.className = "levelBtn__stars";
+      st.textContent = "★".repeat(stars) + "☆".repeat(3 - stars);
+      btn.append(num, st);
+
+      btn.addEventListener("click", () => {
         ensureAudio();
-        if (!r.checked) return;
-        if (
-          r.value === PIECE_THEME.BALLS ||
-          r.value === PIECE_THEME.DINOS ||
-          r.value === PIECE_THEME.DIAMONDS
-        ) {
-          persisted.pieceTheme = r.value;
-          savePersistedState(persisted);
-          playSfx("ui", 0.8);
-          renderBoard();
-        }
+        playSfx("ui", 1);
+        startLevel(level);
       });
+      elLevelGrid.appendChild(btn);
+    });
+
+    const total = campaign.reduce((sum, l) => sum + (persisted.levelStars[l.id] ?? 0), 0);
+    elLevelSummary.textContent = `Hvězdy: ${total} / ${campaign.length * 3}`;
+    elLevelScreen.hidden = false;
+  }
+
+  /** Fetch + validate levels.json; broken levels are skipped. */
+  async function loadCampaign() {
+    try {
+      const res = await fetch(LEVELS_URL);
+      if (!res.ok) return;
+      const data = await res.json();
+      if (!data || !Array.isArray(data.levels)) return;
+      /** @type {Set<string>} */
+      const ids = new Set();
+      for (const raw of data.levels) {
+        const level = Engine.normalizeLevel(raw);
+        if (!level || ids.has(level.id)) {
+          // eslint-disable-next-line no-console
+          console.warn("Skipping invalid level in levels.json:", raw);
+          continue;
+        }
+        ids.add(level.id);
+        campaign.push(level);
+      }
+    } catch {
+      // offline / opened from file:// – the campaign just stays unavailable
     }
   }
 
-  function initSoundUI() {
-    toggleSound.checked = persisted.soundEnabled;
-    toggleSound.addEventListener("change", () => {
-      persisted.soundEnabled = toggleSound.checked;
-      savePersistedState(persisted);
-      if (persisted.soundEnabled) ensureAudio();
-      playSfx("ui", 0.7);
-    });
+  /** @param {import("./engine.js").Recording} rec */
+  function startReplay(rec) {
+    if (isBusy) return;
+    // leaving the replay resumes the saved game – with the clock where it stood now
+    saveCurrentGame();
+    replay = { rec, index: 0, playing: true, busy: false, timer: null };
+    animSpeed = Number(selReplaySpeed.value) || 1;
+    startGame(
+      Engine.createGame({ seed: rec.seed, width: rec.width, height: rec.height, colors: rec.colors, mode: rec.mode })
+    );
+    elReplayBar.hidden = false;
+    renderSkins();
+    setHint(`▶ Přehrávám záznam hry se seedem "${rec.seed}" (${rec.actions.length} tahů).`);
+    renderReplayBar();
+    scheduleReplayAdvance(REPLAY.minGapMs * 2);
+  }
+
+  /** @param {boolean} resume go back to the saved live game */
+  function stopReplay(resume) {
+    if (!replay) return;
+    if (replay.timer != null) clearTimeout(replay.timer);
+    replay = null;
+    animSpeed = 1;
+    elReplayBar.hidden = true;
+    renderUndo();
+    renderSkins();
+    if (resume && resumeSavedGame()) setHint("Přehrávání ukončeno. Pokračuješ ve své hře.");
+    else if (resume) newGame();
   }
 
-  function newGame() {
-    board = makeBoard();
-    setScore(0);
+  /** @param {number} gapMs unscaled wait before the next action */
+  function scheduleReplayAdvance(gapMs) {
+    const r = replay;
+    if (!r) return;
+    if (r.timer != null) clearTimeout(r.timer);
+    r.timer = setTimeout(() => {
+      r.timer = null;
+      if (replay === r && r.playing) replayAdvance();
+    }, gapMs / animSpeed);
+  }
+
+  /** Play the next recorded action through the normal event animation path. */
+  async function replayAdvance() {
+    const r = replay;
+    if (!r || r.busy) return;
+    if (r.index >= r.rec.actions.length) {
+      r.playing = false;
+      renderReplayBar();
+      setHint("⏹ Záznam dohrán. Ukonči přehrávání, nebo si ho pusť znovu.");
+      return;
+    }
+
+    const action = r.rec.actions[r.index++];
+    r.busy = true;
+    isBusy = true;
+    renderReplayBar();
+    const res = Engine.applyAction(game, action);
+    if (action.type === "scoreReset") setScore(game.score);
+    renderMoves();
+    await playEvents(res.events);
+    if (replay !== r) return;
     isBusy = false;
-    visuals.clear();
-    moveAnims.clear();
-    styleAnims.clear();
-    particles.splice(0, particles.length);
-    boardShake = 0;
-    boardShakeT = 0;
-    clearSelection();
-    setHint("Nová hra. Přetáhni dílek na sousední a prohoď je (min 3 v řadě).");
-    syncVisualsToBoard();
-    renderBoard();
+    r.busy = false;
+    renderReplayBar();
+    renderMoves();
+    checkGameOver();
+
+    const next = r.rec.actions[r.index];
+    if (r.playing && next) {
+      scheduleReplayAdvance(clamp(next.t - action.t, REPLAY.minGapMs, REPLAY.maxGapMs));
+    } else if (r.playing) {
+      replayAdvance();
+    }
+  }
+
+  function renderReplayBar() {
+    if (!replay) return;
+    elReplayPos.textContent = `${replay.index}/${replay.rec.actions.length}`;
+    btnReplayPlay.textContent = replay.playing ? "⏸" : "▶";
+    btnReplayPlay.title = replay.playing ? "Pauza" : "Přehrát";
   }
 
   // Unified interactions (pointer + fallback for older browsers)
@@ -1748,10 +3911,16 @@
    * @param {{x:number,y:number}} at
    */
   function handleDownAt(at) {
-    if (isBusy) return;
+    if (isBusy || replay || Engine.isGameOver(game)) return;
     ensureAudio();
+    noteInput();
+    clockRunning = true;
     const p = board[at.y][at.x];
     if (!p) return;
+    if (Engine.isLocked(p)) {
+      rejectLocked();
+      return;
+    }
 
     pointerIsDown = true;
 
@@ -1762,12 +3931,14 @@
       mode = "special";
       specialOrigin = { x: at.x, y: at.y };
       specialTarget = null;
-      setHint("🚀 Raketa: klikni nebo potáhni o 1 vedle.");
+      if (p.dir === "h") setHint("🚀 Raketa na celý řádek: klikni, nebo potáhni o 1 nahoru/dolů.");
+      else if (p.dir === "v") setHint("🚀 Raketa na celý sloupec: klikni, nebo potáhni o 1 doleva/doprava.");
+      else setHint("🚀 Raketa: klikni nebo potáhni o 1 vedle.");
       renderBoard();
       return;
     }
 
-    // Bomb: click detonates, drag swaps like a normal piece (match-3 feel)
+    // Bomb / cross: click detonates, drag swaps like a normal piece (match-3 feel)
     mode = "swap";
     setHint("Přetáhni na sousední a pusť (prohodí se).");
     renderBoard();
@@ -1783,7 +3954,7 @@
       const p = board[specialOrigin.y]?.[specialOrigin.x];
       if (p && p.kind === PIECE_KIND.ROCKET) {
         const cand = { x: at.x, y: at.y };
-        if (manhattan(cand, specialOrigin) === 1) specialTarget = cand;
+        if (Engine.manhattan(cand, specialOrigin) === 1) specialTarget = cand;
         else specialTarget = null;
         renderBoard();
       }
@@ -1801,7 +3972,7 @@
       return;
     }
 
-    if (manhattan(cand, dragOrigin) === 1) {
+    if (Engine.manhattan(cand, dragOrigin) === 1) {
       if (!dragTarget || dragTarget.x !== cand.x || dragTarget.y !== cand.y) {
         dragTarget = cand;
         renderBoard();
@@ -1821,7 +3992,10 @@
     pointerId = null;
 
     if (mode === "special") {
-      detonateSpecial();
+      // A rocket dragged onto another special is a combo swap, not an aimed shot.
+      const partner = specialTarget && board[specialTarget.y]?.[specialTarget.x];
+      if (specialOrigin && specialTarget && Engine.isSpecial(partner)) attemptSwap(specialOrigin, specialTarget);
+      else detonateSpecial();
       clearSelection();
       renderBoard();
       return;
@@ -1832,8 +4006,9 @@
       const target = dragTarget;
       const originPiece = board[origin.y]?.[origin.x];
 
-      // Click on bomb detonates it.
-      if (!target && originPiece && originPiece.kind === PIECE_KIND.BOMB) {
+      // Click on bomb / cross detonates it.
+      const clickToFire = originPiece?.kind === PIECE_KIND.BOMB || originPiece?.kind === PIECE_KIND.CROSS;
+      if (!target && clickToFire) {
         specialOrigin = origin;
         specialTarget = null;
         detonateSpecial();
@@ -1851,6 +4026,363 @@
     renderBoard();
   }
 
+  // Screen readers get the board as an offscreen ARIA grid (the canvas is hidden from them).
+  /** @type {HTMLElement[][]} */
+  let gridCells = [];
+
+  /** @param {number} n */
+  function piecesLabel(n) {
+    return `${n} ${n === 1 ? "dílek" : n >= 2 && n <= 4 ? "dílky" : "dílků"}`;
+  }
+
+  /** @param {number} n */
+  function pointsLabel(n) {
+    return `${n} ${n === 1 ? "bod" : n >= 2 && n <= 4 ? "body" : "bodů"}`;
+  }
+
+  /** Column letter + row number, like a chessboard: "B3". */
+  function cellName(x, y) {
+    return `${String.fromCharCode(65 + x)}${y + 1}`;
+  }
+
+  /**
+   * What a cell holds, e.g. "červená raketa na řádek, zamčená, led 2".
+   * @param {number} x
+   * @param {number} y
+   */
+  function describeCell(x, y) {
+    if (!Engine.isCell(game, x, y)) return "mimo plochu";
+    const p = board[y]?.[x];
+    const layers = ice[y]?.[x] ?? 0;
+    const iceText = layers > 0 ? `, led ${layers}` : "";
+    if (!p) return `prázdné${iceText}`;
+    let text = colorOf(p.color)?.spoken ?? "?";
+    if (p.kind === PIECE_KIND.ROCKET) {
+      text += ` raketa${p.dir === "h" ? " na řádek" : p.dir === "v" ? " na sloupec" : ""}`;
+    } else if (p.kind === PIECE_KIND.BOMB || p.kind === PIECE_KIND.CROSS) {
+      text += ` ${SPECIAL_SPOKEN[p.kind].name}`;
+    }
+    if (Engine.isLocked(p)) text += ", zamčená";
+    return text + iceText;
+  }
+
+  /** New rows/cells for the current board size (called on every new game). */
+  function buildBoardGrid() {
+    elBoardGrid.innerHTML = "";
+    elBoardGrid.setAttribute("aria-rowcount", String(game.height));
+    elBoardGrid.setAttribute("aria-colcount", String(game.width));
+    gridCells = [];
+    for (let y = 0; y < game.height; y++) {
+      const row = document.createElement("div");
+      row.setAttribute("role", "row");
+      /** @type {HTMLElement[]} */
+      const cells = [];
+      for (let x = 0; x < game.width; x++) {
+        const el = document.createElement("div");
+        el.setAttribute("role", "gridcell");
+        el.tabIndex = -1;
+        el.dataset.x = String(x);
+        el.dataset.y = String(y);
+        if (!Engine.isCell(game, x, y)) el.setAttribute("aria-disabled", "true");
+        row.appendChild(el);
+        cells.push(el);
+      }
+      elBoardGrid.appendChild(row);
+      gridCells.push(cells);
+    }
+    renderBoardGrid();
+  }
+
+  /** Mirror the settled board into the grid: labels, the held piece and the cursor (the one tab stop). */
+  function renderBoardGrid() {
+    if (gridCells.length !== game.height) return;
+    const at = ensureCursor();
+    const held = mode === "special" ? specialOrigin : mode === "swap" ? dragOrigin : null;
+    for (let y = 0; y < game.height; y++) {
+      for (let x = 0; x < game.width; x++) {
+        const el = gridCells[y][x];
+        const label = `${cellName(x, y)}: ${describeCell(x, y)}`;
+        if (el.textContent !== label) el.textContent = label;
+        el.tabIndex = x === at.x && y === at.y ? 0 : -1;
+        el.setAttribute("aria-selected", String(!!held && held.x === x && held.y === y));
+      }
+    }
+  }
+
+  /** Keep keyboard focus on the cursor's cell while the grid has it. */
+  function focusCursorCell() {
+    if (!elBoardGrid.contains(document.activeElement)) return;
+    const at = ensureCursor();
+    const el = gridCells[at.y]?.[at.x];
+    if (el && document.activeElement !== el) el.focus();
+  }
+
+  /**
+   * Say something through the live region. Emptied first, so the same message is read again.
+   * @param {string} text
+   */
+  function announce(text) {
+    elAnnouncer.textContent = "";
+    setTimeout(() => {
+      elAnnouncer.textContent = text;
+    }, 50);
+  }
+
+  /**
+   * Spoken summary of a finished move: "Spojeno 4× červená, vznikla raketa, kaskáda 2, +12 bodů."
+   * @param {import("./engine.js").GameEvent[]} events
+   */
+  function describeMove(events) {
+    /** @type {string[]} what the player set off */
+    const fired = [];
+    /** @type {string[]} */
+    const parts = [];
+    /** @type {Map<number, number>} matched pieces per color */
+    const matched = new Map();
+    let blasted = 0;
+    let points = 0;
+    let cascade = 0;
+    for (const ev of events) {
+      if (ev.type === "swapBack") return "Nic nespojilo, tah se vrací.";
+      if (ev.type === "combo") {
+        fired.push(`kombinace ${COMBO_SPOKEN[ev.combo]}`);
+      } else if (ev.type === "detonate") {
+        fired.push(SPECIAL_SPOKEN[ev.kind].fired);
+      } else if (ev.type === "clear") {
+        points += ev.points;
+        cascade = Math.max(cascade, ev.cascade);
+        if (ev.cause === "match") {
+          for (const c of ev.cells) matched.set(c.color, (matched.get(c.color) ?? 0) + 1);
+        } else {
+          blasted += ev.cells.length;
+        }
+      } else if (ev.type === "create") {
+        for (const cr of ev.pieces) {
+          const kind = cr.piece.kind;
+          if (kind === "rocket" || kind === "bomb" || kind === "cross") parts.push(SPECIAL_SPOKEN[kind].created);
+        }
+      } else if (ev.type === "shuffle") {
+        parts.push("žádný tah, zamícháno");
+      } else if (ev.type === "timeBonus") {
+        parts.push(`čas +${Math.round(ev.ms / 1000)} s`);
+      } else if (ev.type === "levelComplete") {
+        points += ev.points;
+        parts.push(`level splněn, bonus ${pointsLabel(ev.points)}`);
+      }
+    }
+    if (matched.size > 0) {
+      const runs = [...matched].map(([color, n]) => `${n}× ${colorOf(color)?.spoken ?? "?"}`);
+      parts.unshift(`spojeno ${runs.join(", ")}`);
+    }
+    if (blasted > 0) parts.push(`výbuch zničil ${piecesLabel(blasted)}`);
+    if (cascade > 1) parts.push(`kaskáda ${cascade}`);
+    parts.push(`+${pointsLabel(points)}`);
+    const left = Engine.movesLeft(game);
+    if (left != null) parts.push(`zbývá tahů: ${left}`);
+    const text = [...fired, ...parts].join(", ");
+    return `${text.charAt(0).toUpperCase()}${text.slice(1)}.`;
+  }
+
+  /** @param {import("./engine.js").GameEvent[]} events */
+  function announceMove(events) {
+    if (replay || events.length === 0) return;
+    announce(describeMove(events));
+  }
+
+  elBoardGrid.addEventListener("focusin", (ev) => {
+    const el = /** @type {HTMLElement} */ (ev.target);
+    const x = Number(el.dataset?.x);
+    const y = Number(el.dataset?.y);
+    // a screen reader may move focus itself: the cursor follows
+    if (Engine.isCell(game, x, y)) cursor = { x, y };
+    cursorVisible = true;
+    boardCanvas.classList.add("focused");
+    renderBoardGrid();
+  });
+
+  elBoardGrid.addEventListener("focusout", () => {
+    boardCanvas.classList.remove("focused");
+  });
+
+  // Activating a cell (screen readers send a click) works like Space on it, or like an arrow next to the held piece.
+  elBoardGrid.addEventListener("click", (ev) => {
+    const el = /** @type {HTMLElement} */ (ev.target);
+    const at = { x: Number(el.dataset?.x), y: Number(el.dataset?.y) };
+    if (!Engine.isCell(game, at.x, at.y) || overlayOpen()) return;
+    cursorVisible = true;
+    const from = pointerIsDown ? (mode === "special" ? specialOrigin : dragOrigin) : null;
+    const key = from
+      ? Object.keys(KEY_STEPS).find((k) => from.x + KEY_STEPS[k].x === at.x && from.y + KEY_STEPS[k].y === at.y)
+      : null;
+    if (key) {
+      handleBoardKey(key);
+    } else {
+      if (from && (from.x !== at.x || from.y !== at.y)) handleBoardKey("Escape");
+      cursor = at;
+      handleBoardKey(" ");
+    }
+    renderBoardGrid();
+    focusCursorCell();
+  });
+
+  // Keyboard play drives the same handlers as a pointer, so both behave identically.
+  /** @type {Record<string, {x:number,y:number}>} */
+  const KEY_STEPS = {
+    ArrowUp: { x: 0, y: -1 },
+    ArrowDown: { x: 0, y: 1 },
+    ArrowLeft: { x: -1, y: 0 },
+    ArrowRight: { x: 1, y: 0 },
+  };
+
+  /** @returns {{x:number,y:number}} the cursor, put on a playable cell near the center if needed */
+  function ensureCursor() {
+    if (cursor && Engine.isCell(game, cursor.x, cursor.y)) return cursor;
+    const cx = Math.floor(game.width / 2);
+    const cy = Math.floor(game.height / 2);
+    let best = { x: cx, y: cy };
+    let bestDist = Infinity;
+    for (let y = 0; y < game.height; y++) {
+      for (let x = 0; x < game.width; x++) {
+        const dist = Engine.manhattan({ x, y }, { x: cx, y: cy });
+        if (Engine.isCell(game, x, y) && dist < bestDist) {
+          best = { x, y };
+          bestDist = dist;
+        }
+      }
+    }
+    cursor = best;
+    return cursor;
+  }
+
+  /**
+   * Step the cursor over holes to the next playable cell (stays put at the edge).
+   * @param {{x:number,y:number}} step
+   */
+  function moveCursor(step) {
+    const from = ensureCursor();
+    for (let x = from.x + step.x, y = from.y + step.y; Engine.isInBounds(game, x, y); x += step.x, y += step.y) {
+      if (Engine.isCell(game, x, y)) {
+        cursor = { x, y };
+        return;
+      }
+    }
+  }
+
+  /**
+   * Arrows move the cursor, Space/Enter picks the piece up (like pressing it) and puts it down again
+   * (like releasing: a bomb, cross or rocket fires). While a piece is held, an arrow swaps it –
+   * a rocket is aimed instead and fires on Space/Enter. Escape drops the piece.
+   * @param {string} key
+   * @returns {boolean} whether the key was used
+   */
+  function handleBoardKey(key) {
+    const step = KEY_STEPS[key];
+    const fire = key === " " || key === "Enter";
+    if (!step && !fire && key !== "Escape") return false;
+    if (replay) return false;
+    if (key === "Escape") {
+      if (!pointerIsDown) return false;
+      pointerIsDown = false;
+      clearSelection();
+      setHint("Výběr zrušen.");
+      renderBoard();
+      return true;
+    }
+
+    const wasVisible = cursorVisible;
+    cursorVisible = true;
+    noteInput();
+    const at = ensureCursor();
+
+    if (step && pointerIsDown) {
+      const from = mode === "special" ? specialOrigin : dragOrigin;
+      if (!from) return true;
+      const to = { x: from.x + step.x, y: from.y + step.y };
+      if (!Engine.isCell(game, to.x, to.y)) return true;
+      handleMoveAt(to);
+      if (mode === "swap") {
+        cursor = to;
+        finishPointer();
+      }
+      return true;
+    }
+
+    if (step) {
+      // the first key press just shows where the cursor is
+      if (wasVisible) moveCursor(step);
+      renderBoard();
+      return true;
+    }
+
+    if (pointerIsDown) {
+      finishPointer();
+      return true;
+    }
+    handleDownAt(at);
+    if (!pointerIsDown) return true;
+    if (mode === "special") setHint("🚀 Šipkou zamiř, Enter/mezerník odpálí, Esc zruší.");
+    else if (Engine.isSpecial(board[at.y]?.[at.x])) setHint("Šipkou prohodíš, Enter/mezerník odpálí, Esc zruší.");
+    else setHint("Šipkou prohodíš se sousedem, Esc zruší.");
+    return true;
+  }
+
+  /**
+   * N = new game, M = sound on/off, T = next piece look.
+   * @param {string} key
+   * @returns {boolean} whether the key was used
+   */
+  function handleShortcut(key) {
+    const k = key.toLowerCase();
+    if (k === "n") {
+      btnNew.click();
+    } else if (k === "m") {
+      setSoundEnabled(!persisted.soundEnabled);
+      setHint(persisted.soundEnabled ? "🔊 Zvuk zapnut." : "🔇 Zvuk vypnut.");
+    } else if (k === "t") {
+      const themes = [PIECE_THEME.BALLS, PIECE_THEME.DINOS, PIECE_THEME.DIAMONDS];
+      setPieceTheme(themes[(themes.indexOf(persisted.pieceTheme) + 1) % themes.length]);
+    } else {
+      return false;
+    }
+    return true;
+  }
+
+  /** @returns {boolean} a dialog covers the board */
+  function overlayOpen() {
+    return [elEndScreen, elLevelScreen, elCustomScreen, elAchievementsScreen, elDailyScreen].some((el) => !el.hidden);
+  }
+
+  window.addEventListener("keydown", (ev) => {
+    if (ev.ctrlKey || ev.metaKey || ev.altKey) return;
+    const target = /** @type {HTMLElement|null} */ (ev.target);
+    const tag = target?.tagName ?? "";
+    // typing into the seed/setup fields must not play
+    if (tag === "INPUT" || tag === "SELECT" || tag === "TEXTAREA") return;
+    // shortcuts act on the game behind the dialog – they wait until it closes
+    if (!ev.repeat && !overlayOpen() && handleShortcut(ev.key)) {
+      ev.preventDefault();
+      return;
+    }
+    // buttons and links keep Space/Enter: the board takes keys when focused (or when nothing is)
+    const onBoard = target == null || target === document.body || elBoardGrid.contains(target);
+    if (onBoard && !overlayOpen() && handleBoardKey(ev.key)) {
+      ev.preventDefault();
+      renderBoardGrid();
+      focusCursorCell();
+    }
+  });
+
+  // The cursor only shows while playing from the keyboard.
+  for (const type of ["pointerdown", "mousedown", "touchstart"]) {
+    window.addEventListener(
+      type,
+      () => {
+        cursorVisible = false;
+      },
+      { passive: true }
+    );
+  }
+
   function supportsPointerEvents() {
     return "PointerEvent" in window;
   }
@@ -1962,19 +4494,282 @@
   btnNew.addEventListener("click", () => {
     ensureAudio();
     playSfx("ui", 1);
+    const seed = Engine.normalizeSeed(seedInput.value);
+    if (refuseDailySeed(seed) || !confirmLeaveDaily()) return;
+    if (replay) stopReplay(false);
+    seedInput.value = "";
+    newGame(seed);
+  });
+
+  btnCopyLog.addEventListener("click", async () => {
+    ensureAudio();
+    playSfx("ui", 0.8);
+    const text = JSON.stringify(Engine.encodeRecording(recording));
+    try {
+      await navigator.clipboard.writeText(text);
+      setHint(`Záznam hry zkopírován (${recording.actions.length} tahů). Přehraješ ho tlačítkem Přehrát záznam.`);
+    } catch {
+      prompt("Záznam této hry:", text);
+    }
+  });
+
+  btnReplay.addEventListener("click", () => {
+    ensureAudio();
+    if (isBusy) return;
+    playSfx("ui", 0.8);
+    const text = prompt("Vlož záznam hry (prázdné = přehrát tuto hru od začátku):", "");
+    if (text == null) return;
+
+    /** @type {import("./engine.js").Recording|null} */
+    let rec = null;
+    if (text.trim() === "") {
+      rec = replay ? replay.rec : recording;
+    } else {
+      try {
+        rec = Engine.decodeRecording(JSON.parse(text));
+      } catch {
+        rec = null;
+      }
+    }
+    if (!rec) {
+      playSfx("bad", 0.8);
+      setHint("Tenhle záznam nejde přečíst. 🙁");
+      return;
+    }
+    if (replay) stopReplay(false);
+    startReplay({ ...rec, actions: rec.actions.slice() });
+  });
+
+  btnReplayPlay.addEventListener("click", () => {
+    if (!replay) return;
+    playSfx("ui", 0.6);
+    if (replay.index >= replay.rec.actions.length) {
+      // finished: play again from the start
+      startReplay(replay.rec);
+      return;
+    }
+    replay.playing = !replay.playing;
+    renderReplayBar();
+    if (replay.playing) replayAdvance();
+    else if (replay.timer != null) clearTimeout(replay.timer);
+  });
+
+  btnReplayStep.addEventListener("click", () => {
+    if (!replay) return;
+    playSfx("ui", 0.6);
+    replay.playing = false;
+    if (replay.timer != null) clearTimeout(replay.timer);
+    renderReplayBar();
+    replayAdvance();
+  });
+
+  selReplaySpeed.addEventListener("change", () => {
+    if (replay) animSpeed = Number(selReplaySpeed.value) || 1;
+  });
+
+  btnReplayExit.addEventListener("click", () => {
+    playSfx("ui", 0.8);
+    stopReplay(true);
+  });
+
+  btnEndNext.addEventListener("click", () => {
+    const level = nextLevel();
+    if (!level) return;
+    ensureAudio();
+    playSfx("ui", 1);
+    startLevel(level);
+  });
+
+  btnLevels.addEventListener("click", () => {
+    ensureAudio();
+    playSfx("ui", 0.8);
+    if (campaign.length === 0) {
+      setHint("Kampaň se nepodařilo načíst (levels.json). Otevři hru přes web/server, ne jako soubor.");
+      return;
+    }
+    openLevelSelect();
+  });
+
+  btnCustom.addEventListener("click", () => {
+    ensureAudio();
+    playSfx("ui", 0.8);
+    openCustomSetup();
+  });
+
+  for (const inp of [inpCustomWidth, inpCustomHeight, inpCustomColors]) {
+    inp.addEventListener("input", renderCustomSwatches);
+  }
+
+  btnCustomStart.addEventListener("click", () => {
+    ensureAudio();
+    playSfx("ui", 1);
+    const seed = Engine.normalizeSeed(seedInput.value);
+    if (refuseDailySeed(seed) || !confirmLeaveDaily()) return;
+    persisted.boardSetup = readCustomSetup();
+    savePersistedState(persisted);
+    elCustomScreen.hidden = true;
+    if (replay) stopReplay(false);
+    // Campaign levels bring their own boards – a custom game falls back to the endless mode.
+    if (modeSelect.value === "level") modeSelect.value = "endless";
+    seedInput.value = "";
+    newGame(seed);
+  });
+
+  btnCustomClose.addEventListener("click", () => {
+    playSfx("ui", 0.6);
+    elCustomScreen.hidden = true;
+  });
+
+  btnAchievements.addEventListener("click", () => {
+    ensureAudio();
+    playSfx("ui", 0.8);
+    openAchievements();
+  });
+
+  btnDaily.addEventListener("click", () => {
+    ensureAudio();
+    playSfx("ui", 0.8);
+    openDaily();
+  });
+
+  btnDailyStart.addEventListener("click", () => {
+    ensureAudio();
+    playSfx("ui", 1);
+    startDaily();
+  });
+
+  btnDailyClose.addEventListener("click", () => {
+    playSfx("ui", 0.6);
+    elDailyScreen.hidden = true;
+  });
+
+  btnAchievementsClose.addEventListener("click", () => {
+    playSfx("ui", 0.6);
+    elAchievementsScreen.hidden = true;
+  });
+
+  btnLevelClose.addEventListener("click", () => {
+    playSfx("ui", 0.6);
+    elLevelScreen.hidden = true;
+  });
+
+  btnEndRestart.addEventListener("click", () => {
+    ensureAudio();
+    playSfx("ui", 1);
+    if (replay) stopReplay(false);
+    modeSelect.value = game.mode.id;
     newGame();
   });
 
+  btnUndo.addEventListener("click", () => {
+    ensureAudio();
+    undoMove();
+  });
+
+  btnHint.addEventListener("click", () => {
+    ensureAudio();
+    if (isBusy || Engine.isGameOver(game) || performance.now() < hintCooldownUntil) return;
+    playSfx("ui", 0.8);
+    showSuggestion();
+    hintCooldownUntil = performance.now() + HINT.cooldownMs;
+    // no swap left on a live board means a power-up is waiting to be set off
+    setHint(suggestion ? "💡 Zkus prohodit zvýrazněné dílky." : "💡 Prohodit nejde nic – odpal některý power-up.");
+  });
+
+  seedInput.addEventListener("keydown", (ev) => {
+    if (ev.key === "Enter") btnNew.click();
+  });
+
+  function shareUrl() {
+    const url = new URL(window.location.href);
+    url.search = "";
+    url.hash = "";
+    // everyone gets the same daily challenge anyway – the link just opens it
+    if (game.mode.day != null) {
+      url.searchParams.set("daily", "1");
+      return url.toString();
+    }
+    url.searchParams.set("seed", game.seed);
+    // a seed only replays the same game in the same mode
+    if (game.mode.id !== "endless" && Engine.MODE_PRESETS[game.mode.id]) url.searchParams.set("mode", game.mode.id);
+    if (game.mode.level == null && !isDefaultSetup(game)) {
+      url.searchParams.set("w", String(game.width));
+      url.searchParams.set("h", String(game.height));
+      url.searchParams.set("c", String(game.colors));
+    }
+    return url.toString();
+  }
+
+  btnShare.addEventListener("click", async () => {
+    ensureAudio();
+    playSfx("ui", 0.8);
+    const url = shareUrl();
+    try {
+      await navigator.clipboard.writeText(url);
+      setHint(
+        game.mode.day != null
+          ? "Odkaz na denní výzvu zkopírován. Kdo ho dnes otevře, hraje stejnou hru."
+          : `Odkaz na hru se seedem "${game.seed}" zkopírován. Kdo ho otevře, hraje stejnou hru.`
+      );
+    } catch {
+      prompt("Odkaz na tuto hru:", url);
+    }
+  });
+
   window.addEventListener("resize", () => {
     resizeAll();
   });
 
+  // The engine state is always settled, so saving mid-animation is safe (keeps the blitz clock on close).
+  window.addEventListener("pagehide", () => {
+    saveCurrentGame();
+  });
+
+  selStatsMode.addEventListener("change", () => {
+    playSfx("ui", 0.6);
+    renderStats();
+  });
+
   // Init UI
   initSoundUI();
   initThemeUI();
+  initColorUI();
   renderSkins();
   resizeAll();
-  newGame();
+
+  const urlParams = new URLSearchParams(window.location.search);
+  const linkedSeed = Engine.normalizeSeed(urlParams.get("seed"));
+  const urlSeed = isDailySeed(linkedSeed) ? null : linkedSeed;
+  const urlModeParam = urlParams.get("mode");
+  const urlMode =
+    urlModeParam && Object.prototype.hasOwnProperty.call(Engine.MODE_PRESETS, urlModeParam) ? urlModeParam : null;
+  // A shared custom board becomes the setup for the next new game.
+  const urlSetup = normalizeSetup({
+    width: Number(urlParams.get("w")),
+    height: Number(urlParams.get("h")),
+    colors: Number(urlParams.get("c")),
+  });
+  if (urlSetup) {
+    persisted.boardSetup = urlSetup;
+    savePersistedState(persisted);
+  }
+  if (resumeSavedGame()) {
+    // A saved game is only ever discarded by "Nová hra" – a shared link just pre-fills the seed.
+    if (Engine.isGameOver(game)) {
+      // finished game: the end screen (from checkGameOver) already says what to do
+    } else if (urlSeed && urlSeed !== game.seed) {
+      seedInput.value = urlSeed;
+      if (urlMode) modeSelect.value = urlMode;
+      setHint(`Pokračuješ v rozehrané hře. Seed "${urlSeed}" z odkazu spustíš tlačítkem Nová hra.`);
+    } else {
+      setHint("Pokračuješ v rozehrané hře. Novou začneš tlačítkem Nová hra.");
+    }
+  } else {
+    if (urlMode) modeSelect.value = urlMode;
+    newGame(urlSeed);
+  }
+  loadCampaign();
+  if (urlParams.has("daily")) openDaily();
 
   // runner animation loop
   let lastTs = performance.now();
@@ -1982,6 +4777,9 @@
     const dt = Math.min(0.05, (ts - lastTs) / 1000);
     lastTs = ts;
     updateBoardAnimations(dt, ts);
+    updateHints(ts);
+    updateClock(dt);
+    if (!isBusy && !replay) checkGameOver();
     renderBoard();
     renderRunner(dt);
     requestAnimationFrame(tick);
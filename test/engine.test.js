@@ -0,0 +1,176 @@
+"use strict";
+
+// Rules regression checks for the headless engine: `node --test`
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const Engine = require("../engine.js");
+
+/**
+ * Play the engine's own suggested moves.
+ * @param {import("../engine.js").GameState} game
+ * @param {number} n
+ */
+function playSuggested(game, n) {
+  /** @type {import("../engine.js").GameEvent[][]} */
+  const played = [];
+  for (let i = 0; i < n && !Engine.isGameOver(game); i++) {
+    const mv = Engine.suggestMove(game);
+    assert.ok(mv, "a playable board always has a move");
+    const res = Engine.swap(game, mv.a, mv.b);
+    assert.equal(res.ok, true);
+    played.push(res.events);
+  }
+  return played;
+}
+
+/** @param {import("../engine.js").GameState} game */
+function assertSettled(game) {
+  assert.equal(Engine.findMatchSegments(game).length, 0, "no match left on the board");
+  for (let y = 0; y < game.height; y++) {
+    for (let x = 0; x < game.width; x++) {
+      if (Engine.isCell(game, x, y)) assert.ok(game.board[y][x], `cell ${x},${y} is filled`);
+    }
+  }
+  assert.ok(Engine.hasValidMove(game), "board is playable");
+}
+
+test("createGame: the same seed builds the same settled board", () => {
+  const a = Engine.createGame({ width: 8, height: 8, colors: 5, seed: "abc123" });
+  const b = Engine.createGame({ width: 8, height: 8, colors: 5, seed: "abc123" });
+  assert.deepEqual(Engine.serializeGame(a), Engine.serializeGame(b));
+  assertSettled(a);
+});
+
+test("swap: non-adjacent and non-matching swaps change nothing", () => {
+  const game = Engine.createGame({ width: 8, height: 8, colors: 5, seed: "swaps" });
+  const before = Engine.serializeGame(game);
+  assert.deepEqual(Engine.swap(game, { x: 0, y: 0 }, { x: 2, y: 0 }), { ok: false, events: [] });
+
+  const valid = new Set(Engine.findValidMoves(game).map((m) => `${m.a.x},${m.a.y}-${m.b.x},${m.b.y}`));
+  let dud = null;
+  for (let y = 0; y < game.height && !dud; y++) {
+    for (let x = 0; x + 1 < game.width && !dud; x++) {
+      if (!valid.has(`${x},${y}-${x + 1},${y}`)) dud = { a: { x, y }, b: { x: x + 1, y } };
+    }
+  }
+  assert.ok(dud);
+  const res = Engine.swap(game, dud.a, dud.b);
+  assert.equal(res.ok, false);
+  assert.deepEqual(res.events.map((e) => e.type), ["swap", "swapBack"]);
+  assert.deepEqual(Engine.serializeGame(game), before);
+});
+
+test("swap: a valid move scores, counts and settles the board", () => {
+  const game = Engine.createGame({ width: 8, height: 8, colors: 5, seed: "valid" });
+  const [events] = playSuggested(game, 1);
+  assert.equal(events[0].type, "swap");
+  assert.equal(events[1].type, "clear");
+  assert.equal(game.moves, 1);
+  assert.ok(game.score > 0);
+  assert.equal(events.filter((e) => e.type === "clear").reduce((n, e) => n + e.points, 0), game.score);
+  assertSettled(game);
+});
+
+test("cascades: clears of one move count up 1, 2, 3 … with a growing multiplier", () => {
+  let seen = false;
+  for (let i = 0; i < 40 && !seen; i++) {
+    const game = Engine.createGame({ width: 8, height: 8, colors: 4, seed: `cascade${i}` });
+    for (const events of playSuggested(game, 15)) {
+      const clears = events.filter((e) => e.type === "clear" && e.cause === "match");
+      assert.deepEqual(clears.map((e) => e.cascade), clears.map((_, j) => j + 1));
+      for (let j = 1; j < clears.length; j++) assert.ok(clears[j].multiplier >= clears[j - 1].multiplier);
+      if (clears.length >= 2) seen = true;
+    }
+  }
+  assert.ok(seen, "some move cascaded");
+});
+
+test("refill: the same seed and moves give the same game", () => {
+  const a = Engine.createGame({ width: 7, height: 9, colors: 6, seed: "refill" });
+  const b = Engine.createGame({ width: 7, height: 9, colors: 6, seed: "refill" });
+  playSuggested(a, 20);
+  playSuggested(b, 20);
+  assert.deepEqual(Engine.serializeGame(a), Engine.serializeGame(b));
+});
+
+test("restoreGame: a restored save plays on exactly like the original", () => {
+  const mode = Engine.MODE_PRESETS.moves;
+  const game = Engine.createGame({ width: 8, height: 8, colors: 5, seed: "restore", mode });
+  playSuggested(game, 5);
+  const copy = Engine.restoreGame(JSON.parse(JSON.stringify(Engine.serializeGame(game))));
+  assert.ok(copy);
+  assert.deepEqual(Engine.serializeGame(copy), Engine.serializeGame(game));
+  playSuggested(game, 5);
+  playSuggested(copy, 5);
+  assert.deepEqual(Engine.serializeGame(copy), Engine.serializeGame(game));
+});
+
+test("restoreGame: rejects broken saves", () => {
+  const data = Engine.serializeGame(Engine.createGame({ width: 6, height: 6, colors: 4, seed: "broken" }));
+  assert.equal(Engine.restoreGame(null), null);
+  assert.equal(Engine.restoreGame({ ...data, width: 99 }), null);
+  assert.equal(Engine.restoreGame({ ...data, board: data.board.slice(1) }), null);
+  const dupId = data.board.map((row) => row.map((p) => ({ ...p })));
+  dupId[0][1].id = dupId[0][0].id;
+  assert.equal(Engine.restoreGame({ ...data, board: dupId }), null);
+});
+
+test("detonate: a bomb blasts its area and sets off the specials it catches", () => {
+  const game = Engine.createGame({ width: 8, height: 8, colors: 5, seed: "chain" });
+  game.board[4][3] = Engine.makePiece(game, 0, Engine.PIECE_KIND.BOMB);
+  const rocket = Engine.makePiece(game, 1, Engine.PIECE_KIND.ROCKET);
+  rocket.dir = "v";
+  game.board[4][4] = rocket;
+
+  const res = Engine.detonate(game, { x: 3, y: 4 });
+  assert.equal(res.ok, true);
+  const fired = res.events.filter((e) => e.type === "detonate");
+  assert.deepEqual(fired.map((e) => e.kind), ["bomb", "rocket"]);
+  assert.equal(fired[1].by, fired[0].id);
+  const clear = res.events.find((e) => e.type === "clear");
+  assert.equal(clear.cause, "explosion");
+  assert.equal(clear.cells.filter((c) => c.x === 4).length, game.height, "the rocket's column went too");
+  assertSettled(game);
+});
+
+test("detonate: only an unlocked special goes off", () => {
+  const game = Engine.createGame({ width: 8, height: 8, colors: 5, seed: "dud" });
+  assert.equal(Engine.detonate(game, { x: 0, y: 0 }).ok, false);
+  const bomb = Engine.makePiece(game, 0, Engine.PIECE_KIND.BOMB);
+  bomb.locked = true;
+  game.board[0][0] = bomb;
+  assert.equal(Engine.detonate(game, { x: 0, y: 0 }).ok, false);
+});
+
+test("moves: a special to set off counts as a move, a board with none at all ends the game", () => {
+  const data = Engine.serializeGame(Engine.createGame({ width: 6, height: 6, colors: 4, seed: "stuck" }));
+  const locked = data.board.map((row) => row.map((p) => ({ ...p, locked: true })));
+  const stuck = Engine.restoreGame({ ...data, board: locked });
+  assert.ok(stuck);
+  assert.equal(stuck.stuck, true);
+  assert.equal(Engine.isGameOver(stuck), true);
+
+  locked[2][2] = { id: locked[2][2].id, color: locked[2][2].color, kind: Engine.PIECE_KIND.BOMB };
+  const bomb = Engine.restoreGame({ ...data, board: locked });
+  assert.ok(bomb);
+  assert.equal(Engine.findValidMoves(bomb).length, 0);
+  assert.equal(Engine.hasValidMove(bomb), true);
+  assert.equal(bomb.stuck, false);
+  assert.deepEqual(Engine.serializeGame(bomb).board, locked, "no reshuffle");
+  assert.equal(Engine.detonate(bomb, { x: 2, y: 2 }).ok, true);
+});
+
+test("recording: replaying the log rebuilds the game", () => {
+  const game = Engine.createGame({ width: 8, height: 8, colors: 5, seed: "replay" });
+  const rec = Engine.createRecording(game);
+  for (let t = 0; t < 10; t++) {
+    const mv = Engine.suggestMove(game);
+    Engine.swap(game, mv.a, mv.b);
+    rec.actions.push({ t, type: "swap", a: mv.a, b: mv.b });
+  }
+  const decoded = Engine.decodeRecording(JSON.parse(JSON.stringify(Engine.encodeRecording(rec))));
+  assert.ok(decoded);
+  const copy = Engine.createGame({ width: 8, height: 8, colors: 5, seed: decoded.seed, mode: decoded.mode });
+  for (const action of decoded.actions) Engine.applyAction(copy, action);
+  assert.deepEqual(Engine.serializeGame(copy), Engine.serializeGame(game));
+});